@@ -3,20 +3,19 @@
  * index.js
  * Diese Datei ist der Einstiegspunkt für das Programm. Sie dient vor allem
  * dazu, die Benutzung von der Kommandozeile einfach möglich zu machen.
- * Der interessante Teil findet in der Crawler-Klasse unten statt.
+ * Der interessante Teil findet in der Crawler-Klasse statt; welche Befehle und
+ * Optionen es gibt, steht in der Cli-Klasse.
  *
  ******************************************************************************
  */
 
-const VerleihnixCrawler = require( './src/VerleihnixCrawler' );
-const configuration     = require( './config.json' );
+const Cli = require( './src/Cli' );
 
-// Hier erstellen wir eine Instanz von unserem Crawler und übergeben ihm die
-// Konfigurationsdaten.
-const crawler = new VerleihnixCrawler( configuration );
-
-// Der Crawler ist vorbereitet, wir können starten!
-crawler.start()
-       .catch( error => console.error(
-           `An error ocurred during processing: ${ error.message }\n${ error }`,
-       ) );
+// Wir führen den Befehl von der Kommandozeile aus, etwa "crawl" oder "resume".
+// Der Exit-Code verrät anschließend, ob alles geklappt hat (0), ob einzelne
+// URLs fehlgeschlagen sind (2), oder ob der Lauf gescheitert ist (1).
+( new Cli() )
+    .run( process.argv.slice( 2 ) )
+    .then( exitCode => {
+        process.exitCode = exitCode;
+    } );
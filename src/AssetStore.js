@@ -0,0 +1,199 @@
+const { createHash }                                = require( 'crypto' );
+const { extname, resolve }                          = require( 'path' );
+const { access, mkdir, readFile, rename, writeFile } = require( 'fs' ).promises;
+
+/**
+ * AssetStore
+ * ==========
+ * Der AssetStore legt heruntergeladene Produktbilder im Ausgabepfad ab. Jede
+ * Datei wird nach dem Hash ihres Inhalts benannt: Dasselbe Bild landet so nur
+ * ein einziges Mal auf der Festplatte, auch wenn es unter mehreren URLs
+ * verlinkt ist. Ein Index merkt sich über alle Läufe hinweg, welche URL zu
+ * welcher Datei gehört, damit wir kein Bild zweimal herunterladen.
+ */
+class AssetStore {
+
+    /**
+     * Erstellt eine neue AssetStore-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            imageDirectory: 'images',
+            ...config,
+        };
+
+        // Welche URL zu welcher Datei gehört, relativ zum Ausgabepfad
+        this._index = new Map();
+
+        // Wie beim Checkpoint hängen wir jeden Speichervorgang des Index an den
+        // vorherigen an.
+        this._saving = Promise.resolve();
+    }
+
+    /**
+     * Erstellt den Bilderordner und lädt den Index der früheren Läufe.
+     *
+     * @return {Promise<void>}
+     */
+    async initialize() {
+        await mkdir( this._getDirectoryPath(), { recursive: true } );
+
+        try {
+            const contents = await readFile( this._getIndexPath(), 'utf-8' );
+
+            this._index = new Map( Object.entries( JSON.parse( contents ) ) );
+        } catch ( error ) {
+
+            // Gibt es noch keinen Index, fangen wir mit einem leeren an.
+            if ( error.code !== 'ENOENT' ) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Prüft, ob ein Bild bereits heruntergeladen wurde.
+     *
+     * @param  {string} url
+     * @return {boolean}
+     */
+    has( url ) {
+        return this._index.has( url );
+    }
+
+    /**
+     * Liefert den Pfad der lokalen Datei zu einer Bild-URL, relativ zum
+     * Ausgabepfad. Wurde das Bild nicht heruntergeladen, erhalten wir null.
+     *
+     * @param  {string} url
+     * @return {string|null}
+     */
+    getPath( url ) {
+        return this._index.get( url ) || null;
+    }
+
+    /**
+     * Speichert ein heruntergeladenes Bild.
+     *
+     * @param  {string}      url
+     * @param  {Buffer}      contents
+     * @param  {string|null} contentType
+     * @return {Promise<string>} Ein Promise mit dem Pfad der lokalen Datei.
+     */
+    async store( url, contents, contentType = null ) {
+        const hash      = createHash( 'sha256' ).update( contents ).digest( 'hex' );
+        const extension = this._getExtension( url, contentType );
+        const path      = `${ this._config.imageDirectory }/${ hash }.${ extension }`;
+        const filePath  = resolve( this._config.outputPath, path );
+
+        // Gibt es die Datei schon, müssen wir sie nicht noch einmal schreiben.
+        // Dasselbe Bild wurde dann schon unter einer anderen URL gefunden.
+        try {
+            await access( filePath );
+        } catch ( error ) {
+            await writeFile( filePath, contents );
+        }
+
+        this._index.set( url, path );
+
+        return path;
+    }
+
+    /**
+     * Speichert den Index, damit spätere Läufe die Bilder wiederfinden.
+     *
+     * @return {Promise<void>}
+     */
+    save() {
+        const indexPath     = this._getIndexPath();
+        const temporaryPath = `${ indexPath }.tmp`;
+        const contents      = JSON.stringify( Object.fromEntries( this._index ), null, 4 );
+
+        this._saving = this._saving
+            .catch( () => {} )
+            .then( async () => {
+                await writeFile( temporaryPath, contents );
+                await rename( temporaryPath, indexPath );
+            } );
+
+        return this._saving;
+    }
+
+    /**
+     * Ergänzt ein Produkt um die lokalen Pfade seiner Bilder: In "imageFiles"
+     * steht für jedes Bild die URL und der lokale Pfad, in "productImageFile"
+     * der lokale Pfad des Hauptbilds.
+     *
+     * @param  {Record<string, any>} product
+     * @return {Record<string, any>}
+     */
+    annotate( product ) {
+        const imageFiles = ( product.images || [] ).map( url => ( {
+            url,
+            path: this.getPath( url ),
+        } ) );
+
+        return {
+            ...product,
+            productImageFile: product.productImage && imageFiles.length > 0
+                              ? imageFiles[ 0 ].path
+                              : null,
+            imageFiles,
+        };
+    }
+
+    /**
+     * Ermittelt die Dateiendung eines Bilds: Bevorzugt aus dem Content-Type der
+     * Antwort, sonst aus der URL.
+     *
+     * @param  {string}      url
+     * @param  {string|null} contentType
+     * @return {string}
+     * @private
+     */
+    _getExtension( url, contentType ) {
+        const mimeType = String( contentType || '' ).split( ';' )[ 0 ].trim();
+
+        if ( AssetStore.EXTENSIONS[ mimeType ] ) {
+            return AssetStore.EXTENSIONS[ mimeType ];
+        }
+
+        const extension = extname( new URL( url ).pathname ).slice( 1 ).toLowerCase();
+
+        return /^[a-z0-9]{1,5}$/.test( extension ) ? extension : 'bin';
+    }
+
+    /**
+     * @return {string}
+     * @private
+     */
+    _getDirectoryPath() {
+        return resolve( this._config.outputPath, this._config.imageDirectory );
+    }
+
+    /**
+     * @return {string}
+     * @private
+     */
+    _getIndexPath() {
+        return resolve( this._getDirectoryPath(), 'index.json' );
+    }
+}
+
+/**
+ * Dateiendungen für die gängigen Bildformate
+ *
+ * @type {Record<string, string>}
+ */
+AssetStore.EXTENSIONS = {
+    'image/jpeg':    'jpg',
+    'image/png':     'png',
+    'image/gif':     'gif',
+    'image/webp':    'webp',
+    'image/avif':    'avif',
+    'image/svg+xml': 'svg',
+};
+
+module.exports = AssetStore;
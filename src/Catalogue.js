@@ -0,0 +1,199 @@
+/**
+ * Catalogue
+ * =========
+ * Der Katalog sammelt alle Produkte eines Crawls. Viele Maschinen tauchen in
+ * mehreren Kategorien auf; der Katalog führt sie anhand ihrer Artikelnummer
+ * zusammen und merkt sich dabei alle Kategorien, in denen sie gelistet sind.
+ */
+class Catalogue {
+
+    /**
+     * Erstellt einen neuen, leeren Katalog.
+     */
+    constructor() {
+
+        // Alle Produkte, nach Artikelnummer
+        this._products = new Map();
+
+        // Die Kategorien, die wir auf Auflistungsseiten für eine Produkt-URL
+        // gefunden haben. Oft kennen wir sie, bevor das Produkt selbst
+        // gecrawlt wurde.
+        this._categoriesByUrl = new Map();
+
+        // Zu welchem Produkt eine URL gehört, damit wir Kategorien auch später
+        // noch nachtragen können.
+        this._keysByUrl = new Map();
+
+        // Was sich seit dem letzten Checkpoint geändert hat. Nur das landet
+        // im Journal des Checkpoints.
+        this._changedKeys = new Set();
+        this._changedUrls = new Set();
+    }
+
+    /**
+     * Anzahl der Produkte im Katalog.
+     *
+     * @return {number}
+     */
+    get size() {
+        return this._products.size;
+    }
+
+    /**
+     * Vermerkt eine Kategorie für eine Produkt-URL. Wurde das Produkt schon
+     * gecrawlt, wird die Kategorie direkt übernommen.
+     *
+     * @param {string}   url
+     * @param {string[]} categoryPath
+     */
+    addCategory( url, categoryPath ) {
+        if ( !categoryPath || categoryPath.length === 0 ) {
+            return;
+        }
+
+        const category   = Catalogue.formatCategoryPath( categoryPath );
+        const categories = this._categoriesByUrl.get( url ) || new Set();
+
+        categories.add( category );
+        this._categoriesByUrl.set( url, categories );
+        this._changedUrls.add( url );
+
+        const key     = this._keysByUrl.get( url );
+        const product = this._products.get( key );
+
+        if ( product && !product.categories.includes( category ) ) {
+            product.categories.push( category );
+            this._changedKeys.add( key );
+        }
+    }
+
+    /**
+     * Fügt ein Produkt zum Katalog hinzu. Gibt es schon ein Produkt mit
+     * derselben Artikelnummer, werden nur die Kategorien zusammengeführt.
+     *
+     * @param  {Record<string, any>} product
+     * @param  {string}              url URL, unter der das Produkt gefunden wurde
+     * @return {Record<string, any>} Das Produkt, wie es im Katalog steht.
+     */
+    add( product, url ) {
+
+        // Produkte ohne Artikelnummer können wir nur über ihren Link
+        // identifizieren.
+        const key = product.articleNumber || product.link || url;
+
+        // Alle Kategorien, die wir für das Produkt kennen: Die aus der
+        // Breadcrumb der Produktseite und die der Auflistungsseiten, die auf
+        // das Produkt verlinken.
+        const categories = [
+            ...( product.breadcrumb && product.breadcrumb.length > 0
+                 ? [ Catalogue.formatCategoryPath( product.breadcrumb ) ]
+                 : [] ),
+            ...( this._categoriesByUrl.get( url ) || [] ),
+        ];
+
+        const existing = this._products.get( key );
+        const merged   = existing || { ...product, categories: [] };
+
+        categories.forEach( category => {
+            if ( !merged.categories.includes( category ) ) {
+                merged.categories.push( category );
+            }
+        } );
+
+        this._products.set( key, merged );
+        this._keysByUrl.set( url, key );
+        this._changedKeys.add( key );
+        this._changedUrls.add( url );
+
+        return merged;
+    }
+
+    /**
+     * Erlaubt es, mit for...of über alle Produkte zu iterieren.
+     *
+     * @return {Iterator<Record<string, any>>}
+     */
+    [ Symbol.iterator ]() {
+        return this._products.values();
+    }
+
+    /**
+     * Stellt den Katalog wieder her, etwa aus einem Checkpoint. Mehrere
+     * Stände lassen sich nacheinander übernehmen, wie die Einträge im Journal
+     * des Checkpoints: Spätere überschreiben frühere.
+     *
+     * @param {CatalogueState} state
+     */
+    restore( { products = [], categoriesByUrl = {}, keysByUrl = {} } ) {
+        products.forEach( ( [ key, product ] ) => this._products.set( key, product ) );
+
+        Object.entries( categoriesByUrl ).forEach( ( [ url, categories ] ) => {
+            this._categoriesByUrl.set( url, new Set( categories ) );
+        } );
+
+        Object.entries( keysByUrl ).forEach( ( [ url, key ] ) => this._keysByUrl.set( url, key ) );
+    }
+
+    /**
+     * Liefert alles, was sich seit dem letzten Aufruf geändert hat, in
+     * derselben Form wie "toJSON".
+     *
+     * @return {CatalogueState}
+     */
+    takeChanges() {
+        const urls    = [ ...this._changedUrls ];
+        const changes = {
+            products:        [ ...this._changedKeys ].map( key => [ key, this._products.get( key ) ] ),
+            categoriesByUrl: Object.fromEntries( urls
+                .filter( url => this._categoriesByUrl.has( url ) )
+                .map( url => [ url, [ ...this._categoriesByUrl.get( url ) ] ] ) ),
+            keysByUrl:       Object.fromEntries( urls
+                .filter( url => this._keysByUrl.has( url ) )
+                .map( url => [ url, this._keysByUrl.get( url ) ] ) ),
+        };
+
+        this._changedKeys.clear();
+        this._changedUrls.clear();
+
+        return changes;
+    }
+
+    /**
+     * Liefert den Katalog in einer Form, die sich als JSON speichern lässt.
+     *
+     * @return {CatalogueState}
+     */
+    toJSON() {
+        const categoriesByUrl = {};
+
+        this._categoriesByUrl.forEach( ( categories, url ) => {
+            categoriesByUrl[ url ] = [ ...categories ];
+        } );
+
+        return {
+            products:  [ ...this._products.entries() ],
+            categoriesByUrl,
+            keysByUrl: Object.fromEntries( this._keysByUrl ),
+        };
+    }
+
+    /**
+     * Fügt einen Kategorie-Pfad zu einem lesbaren Text zusammen, etwa
+     * "Maschinen > Bagger > Minibagger".
+     *
+     * @param  {string[]} categoryPath
+     * @return {string}
+     */
+    static formatCategoryPath( categoryPath ) {
+        return categoryPath.join( ' > ' );
+    }
+}
+
+/**
+ * @typedef {Object} CatalogueState
+ * @property {[string, Record<string, any>][]} products
+ * @property {Record<string, string[]>}         categoriesByUrl
+ * @property {Record<string, string>}           keysByUrl
+ */
+
+module.exports = Catalogue;
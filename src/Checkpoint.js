@@ -0,0 +1,242 @@
+const { resolve }                                         = require( 'path' );
+const { appendFile, readFile, writeFile, rename, unlink } = require( 'fs' ).promises;
+
+/**
+ * Checkpoint
+ * ==========
+ * Der Checkpoint speichert den Zustand eines laufenden Crawls in einer Datei im
+ * Ausgabepfad. Wird der Crawler abgebrochen, kann er mit diesem Zustand später
+ * an derselben Stelle weitermachen.
+ * Was mit dem Crawl immer weiter wächst, etwa die gefundenen Produkte, steht
+ * nicht in dieser Datei, sondern in einem Journal daneben: Bei jedem
+ * Speichern hängen wir nur an, was sich seitdem geändert hat, anstatt alles
+ * neu zu schreiben.
+ */
+class Checkpoint {
+
+    /**
+     * Erstellt eine neue Checkpoint-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            checkpointFilename: 'checkpoint.json',
+            ...config,
+        };
+
+        // Der Crawler bearbeitet mehrere Antworten gleichzeitig. Damit sich
+        // zwei Speichervorgänge nicht in die Quere kommen, hängen wir jeden an
+        // den vorherigen an.
+        this._saving = Promise.resolve();
+
+        // Ob das Journal zum aktuellen Crawl gehört. Bei einem neuen Crawl
+        // beginnen wir mit dem ersten Speichern ein neues.
+        this._hasJournal = false;
+
+        // Einträge, die noch nicht im Journal stehen. Schlägt das Schreiben
+        // fehl, holt das nächste Speichern sie nach.
+        this._unwritten = '';
+    }
+
+    /**
+     * Lädt den gespeicherten Zustand, mit allen Einträgen des Journals unter
+     * "journal". Wenn es noch keinen Checkpoint gibt, erhalten wir null zurück.
+     *
+     * @return {Promise<CheckpointState|null>}
+     */
+    async load() {
+        let contents;
+
+        try {
+            contents = await readFile( this._getFilePath(), 'utf-8' );
+        } catch ( error ) {
+
+            // Die Datei existiert nicht: Es gibt also keinen Crawl, den wir
+            // fortsetzen könnten.
+            if ( error.code === 'ENOENT' ) {
+                return null;
+            }
+
+            throw error;
+        }
+
+        let state;
+
+        try {
+            state = JSON.parse( contents );
+        } catch ( error ) {
+            throw new Error(
+                `Checkpoint file is corrupted: Could not parse ` +
+                `"${ this._getFilePath() }": ${ error.message }\nDelete the ` +
+                'file to start a fresh crawl.',
+            );
+        }
+
+        this._hasJournal = true;
+
+        return { ...state, journal: await this._loadJournal() };
+    }
+
+    /**
+     * Speichert den aktuellen Zustand. Die Änderungen seit dem letzten
+     * Speichern landen als neue Zeile im Journal.
+     *
+     * @param  {CheckpointState}          state
+     * @param  {Record<string, any>|null} changes
+     * @return {Promise<void>}
+     */
+    save( state, changes = null ) {
+        const filePath      = this._getFilePath();
+        const temporaryPath = `${ filePath }.tmp`;
+        const journalPath   = this._getJournalPath();
+
+        // Den Zustand serialisieren wir sofort, damit spätere Änderungen nicht
+        // mehr in diesen Checkpoint einfließen.
+        const contents = JSON.stringify( {
+            ...state,
+            savedAt: ( new Date() ).toISOString(),
+        } );
+
+        if ( changes ) {
+            this._unwritten += `${ JSON.stringify( changes ) }\n`;
+        }
+
+        // Das Journal schreiben wir zuerst. Wird der Prozess danach beendet,
+        // enthält es Änderungen von Seiten, die laut Checkpoint noch offen
+        // sind; beim Fortsetzen rufen wir sie erneut ab, und ihre Ergebnisse
+        // ersetzen die alten.
+        // Den Checkpoint schreiben wir erst in eine temporäre Datei und
+        // benennen sie dann um. Wird der Prozess mitten im Schreiben beendet,
+        // bleibt so immer der letzte vollständige Checkpoint erhalten.
+        this._saving = this._saving
+            .catch( () => {} )
+            .then( async () => {
+                const entries = this._unwritten;
+
+                if ( this._hasJournal ) {
+                    await appendFile( journalPath, entries );
+                } else {
+                    await writeFile( journalPath, entries );
+                    this._hasJournal = true;
+                }
+
+                // Während wir geschrieben haben, können neue Einträge
+                // dazugekommen sein.
+                this._unwritten = this._unwritten.slice( entries.length );
+
+                await writeFile( temporaryPath, contents );
+                await rename( temporaryPath, filePath );
+            } );
+
+        return this._saving;
+    }
+
+    /**
+     * Entfernt den Checkpoint, etwa nachdem ein Crawl vollständig beendet
+     * wurde.
+     *
+     * @return {Promise<void>}
+     */
+    async clear() {
+        await this._saving.catch( () => {} );
+
+        for ( const filePath of [ this._getFilePath(), this._getJournalPath() ] ) {
+            try {
+                await unlink( filePath );
+            } catch ( error ) {
+                if ( error.code !== 'ENOENT' ) {
+                    throw error;
+                }
+            }
+        }
+
+        this._hasJournal = false;
+        this._unwritten  = '';
+    }
+
+    /**
+     * Liest alle Einträge des Journals.
+     *
+     * @return {Promise<Record<string, any>[]>}
+     * @private
+     */
+    async _loadJournal() {
+        let contents;
+
+        try {
+            contents = await readFile( this._getJournalPath(), 'utf-8' );
+        } catch ( error ) {
+
+            // Ältere Checkpoints haben kein Journal.
+            if ( error.code === 'ENOENT' ) {
+                return [];
+            }
+
+            throw error;
+        }
+
+        const lines = contents.split( '\n' ).filter( line => line !== '' );
+
+        return lines.flatMap( ( line, index ) => {
+            try {
+                return [ JSON.parse( line ) ];
+            } catch ( error ) {
+
+                // Wurde der Prozess mitten im Schreiben beendet, ist die
+                // letzte Zeile unvollständig. Der Checkpoint dazu wurde dann
+                // nie geschrieben, wir brauchen sie also nicht.
+                if ( index === lines.length - 1 ) {
+                    return [];
+                }
+
+                throw new Error(
+                    `Checkpoint journal is corrupted: Could not parse line ${ index + 1 } of ` +
+                    `"${ this._getJournalPath() }": ${ error.message }\nDelete the checkpoint ` +
+                    'and the journal to start a fresh crawl.',
+                );
+            }
+        } );
+    }
+
+    /**
+     * Baut den vollständigen Pfad zur Checkpoint-Datei.
+     *
+     * @return {string}
+     * @private
+     */
+    _getFilePath() {
+        return resolve(
+            this._config.outputPath,
+            this._config.checkpointFilename,
+        );
+    }
+
+    /**
+     * Baut den Pfad zum Journal, etwa "checkpoint.journal.jsonl".
+     *
+     * @return {string}
+     * @private
+     */
+    _getJournalPath() {
+        return this._getFilePath().replace( /(\.json)?$/, '.journal.jsonl' );
+    }
+}
+
+/**
+ * @typedef {Object} CheckpointState
+ * @property {string[]} pending     URLs, die noch nicht vollständig bearbeitet wurden
+ * @property {string[]} completed   URLs, die bereits bearbeitet wurden
+ * @property {number}   counter     Anzahl der bisher gecrawlten URLs
+ * @property {string}   startedAt   Startzeitpunkt des Laufs im ISO-Format
+ * @property {Object}   [catalogue] Alle bisher gefundenen Produkte; nur in älteren Checkpoints, sonst im Journal
+ * @property {string}   outputFile  Pfad der aktuellen Ausgabedateien, ohne Endung
+ * @property {Object}   failures    Alle bisher endgültig fehlgeschlagenen URLs
+ * @property {Object[]} quarantine  Alle bisher ungültigen Produkte
+ * @property {Object}   [pages]     Die bisher bearbeiteten Seiten für den PageIndex; nur in älteren Checkpoints
+ * @property {Object[]} [journal]   Die Einträge des Journals, nur beim Laden
+ * @property {Object}   stats       Die bisherige Statistik des Laufs
+ * @property {Object[]} proxies     Anfragen und Fehlschläge je Proxy
+ */
+
+module.exports = Checkpoint;
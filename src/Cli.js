@@ -0,0 +1,539 @@
+const cheerio               = require( 'cheerio' );
+const Crawler               = require( 'crawler' );
+const { readFile }          = require( 'fs' ).promises;
+const { resolve }           = require( 'path' );
+const { loadConfiguration } = require( './config' );
+const Logger                = require( './Logger' );
+const Normalizer            = require( './Normalizer' );
+const Parser                = require( './Parser' );
+const ProxyPool             = require( './ProxyPool' );
+const Renderer              = require( './Renderer' );
+const Server                = require( './Server' );
+const Validator             = require( './Validator' );
+const VerleihnixCrawler     = require( './VerleihnixCrawler' );
+
+/**
+ * Cli
+ * ===
+ * Die Kommandozeile des Crawlers. Sie liest die Befehle und Optionen, lädt die
+ * Konfiguration und übergibt beides an den VerleihnixCrawler. Am Exit-Code
+ * erkennen geplante Jobs, ob ein Lauf erfolgreich war, ob einzelne URLs
+ * fehlgeschlagen sind, oder ob der Lauf ganz gescheitert ist.
+ */
+class Cli {
+
+    /**
+     * Erstellt eine neue Cli-Instanz.
+     *
+     * @param {{ log: function(string), error: function(string) }} output
+     */
+    constructor( output = console ) {
+        this._output = output;
+    }
+
+    /**
+     * Führt einen Befehl aus.
+     *
+     * @param  {string[]} argv Die Argumente ohne "node" und Skriptname
+     * @return {Promise<number>} Ein Promise mit dem Exit-Code.
+     */
+    async run( argv ) {
+        try {
+            const { command, positionals, options } = this._parseArguments( argv );
+
+            if ( options.help || command === 'help' ) {
+                this._output.log( Cli.USAGE );
+
+                return Cli.EXIT_SUCCESS;
+            }
+
+            switch ( command ) {
+                case 'crawl':
+                    return await this._crawl( options, options.resume === true );
+
+                case 'resume':
+                    return await this._crawl( options, true );
+
+                case 'validate-config':
+                    return await this._validateConfig( options );
+
+                case 'parse':
+                    return await this._parse( positionals, options );
+
+                case 'serve':
+                    return await this._serve( options );
+
+                default:
+                    throw new UsageError(
+                        `Unknown command "${ command }". ` +
+                        `Available commands: ${ Object.keys( Cli.COMMANDS ).join( ', ' ) }.`,
+                    );
+            }
+        } catch ( error ) {
+            this._output.error( `An error ocurred during processing: ${ error.message }` );
+
+            if ( error instanceof UsageError ) {
+                this._output.error( `\n${ Cli.USAGE }` );
+            }
+
+            return Cli.EXIT_FATAL;
+        }
+    }
+
+    /**
+     * Startet einen Crawl, oder setzt einen abgebrochenen fort.
+     *
+     * @param  {Record<string, any>} options
+     * @param  {boolean}             resume
+     * @return {Promise<number>}
+     * @private
+     */
+    async _crawl( options, resume ) {
+        const { config } = await this._loadConfig( options, { resume } );
+        const crawler    = new VerleihnixCrawler( config );
+
+        // Mit Strg+C beenden wir den Crawl geordnet: Was bis dahin gefunden
+        // wurde, landet in der Ausgabe, und der Crawl lässt sich fortsetzen.
+        // Ein zweites Strg+C bricht sofort ab.
+        const stop = () => crawler.stop();
+
+        process.once( 'SIGINT', stop );
+
+        try {
+            const result = await crawler.start();
+
+            // Einzelne fehlgeschlagene URLs sind kein Grund, den ganzen Lauf
+            // scheitern zu lassen - aber ein Grund, genauer hinzusehen. Ein
+            // vorzeitig beendeter Lauf ist ohnehin unvollständig. Sind zu
+            // viele Produkte ungültig, ist vermutlich ein Selektor kaputt.
+            if ( !result.healthy ) {
+                return Cli.EXIT_UNHEALTHY;
+            }
+
+            return result.failures > 0 || result.stopped
+                   ? Cli.EXIT_PARTIAL
+                   : Cli.EXIT_SUCCESS;
+        } finally {
+            process.removeListener( 'SIGINT', stop );
+        }
+    }
+
+    /**
+     * Prüft die Konfiguration, ohne einen Crawl zu starten.
+     *
+     * @param  {Record<string, any>} options
+     * @return {Promise<number>}
+     * @private
+     */
+    async _validateConfig( options ) {
+        const { config, sources } = await this._loadConfig( options );
+
+        // Das Schema prüft schon beim Laden alle Schlüssel und Werte. Der
+        // Crawler prüft beim Erstellen zusätzlich das Profil, die
+        // Ausgabeformate und den Crawling-Bereich.
+        new VerleihnixCrawler( config );
+
+        this._output.log(
+            'Configuration is valid. Loaded from:\n' +
+            sources.map( source => `  - ${ source }` ).join( '\n' ),
+        );
+
+        return Cli.EXIT_SUCCESS;
+    }
+
+    /**
+     * Wertet eine einzelne, gespeicherte HTML-Seite oder URL mit dem Parser aus
+     * und gibt das normalisierte Ergebnis als JSON aus. So lassen sich Profile testen, ohne
+     * einen ganzen Crawl zu starten.
+     *
+     * @param  {string[]}            positionals
+     * @param  {Record<string, any>} options
+     * @return {Promise<number>}
+     * @private
+     */
+    async _parse( positionals, options ) {
+        const [ source ] = positionals;
+
+        if ( !source ) {
+            throw new UsageError( 'The "parse" command needs a file or URL.' );
+        }
+
+        const { config } = await this._loadConfig( options );
+        const response   = /^https?:\/\//.test( source )
+                           ? await this._fetch( source, config )
+                           : await this._readPage( source, options.url || this._getTargetUrl( config ) );
+
+        // Das Ergebnis geht auf die Standardausgabe; damit es gültiges JSON
+        // bleibt, schreiben wir das Protokoll auf die Standardfehlerausgabe.
+        // Passt die URL auf "render.include", rendern wir die Seite vorher,
+        // genau wie beim Crawl. Auch das Ergebnis normalisieren und prüfen wir
+        // wie beim Crawl, damit hier dasselbe steht wie in der Ausgabe.
+        const logger   = new Logger( config, process.stderr );
+        const renderer = new Renderer( config, logger );
+        const parsed   = await new Parser( config, logger ).parse( await renderer.render( response ) );
+
+        await renderer.close();
+
+        if ( parsed.result ) {
+            parsed.result = new Normalizer( config ).normalize( parsed.result );
+
+            const violations = new Validator( config ).validate( parsed.result );
+
+            if ( violations.length > 0 ) {
+                logger.warn(
+                    'The result violates the profile schema and would be quarantined: ' +
+                    violations.map( ( { message } ) => message ).join( '; ' ),
+                    { violations },
+                );
+            }
+        }
+
+        this._output.log( JSON.stringify( parsed, null, 4 ) );
+
+        return Cli.EXIT_SUCCESS;
+    }
+
+    /**
+     * Startet den Server, über den sich die gespeicherten Läufe durchsuchen
+     * lassen. Er läuft, bis er mit Strg+C beendet wird.
+     *
+     * @param  {Record<string, any>} options
+     * @return {Promise<number>}
+     * @private
+     */
+    async _serve( options ) {
+        const { config } = await this._loadConfig( options );
+        const logger     = new Logger( config );
+        const server     = new Server( config, logger );
+        const url        = await server.listen();
+
+        logger.info(
+            `Serving the runs in "${ resolve( config.outputPath ) }" on ${ url }, press Ctrl+C to stop`,
+            { url },
+        );
+
+        await new Promise( resolvePromise => process.once( 'SIGINT', resolvePromise ) );
+        await server.close();
+
+        logger.info( 'Server stopped' );
+
+        return Cli.EXIT_SUCCESS;
+    }
+
+    /**
+     * Ruft eine Seite mit denselben Optionen ab, die auch der Crawl verwendet,
+     * auch über denselben Proxy.
+     *
+     * @param  {string}              url
+     * @param  {Record<string, any>} config
+     * @return {Promise<CrawlerRequestResponse>}
+     * @private
+     */
+    _fetch( url, config ) {
+        const crawler = new Crawler( config.crawler || {} );
+        const proxy   = new ProxyPool( config ).assign( url );
+
+        return new Promise( ( resolvePromise, reject ) => crawler.direct( {
+            uri:      url,
+            ...proxy ? { proxy } : {},
+            callback: ( error, response ) => {
+                if ( error ) {
+                    return reject( error );
+                }
+
+                if ( response.statusCode < 200 || response.statusCode >= 300 ) {
+                    return reject( new Error(
+                        `Could not fetch "${ url }": HTTP ${ response.statusCode }`,
+                    ) );
+                }
+
+                resolvePromise( response );
+            },
+        } ) );
+    }
+
+    /**
+     * Liest eine gespeicherte HTML-Seite und bereitet sie so auf, wie der
+     * Crawler sie dem Parser übergeben würde. Relative Links werden gegen die
+     * angegebene URL aufgelöst.
+     *
+     * @param  {string} file
+     * @param  {string} url
+     * @return {Promise<{ $: CheerioStatic, body: string, options: { uri: string } }>}
+     * @private
+     */
+    async _readPage( file, url ) {
+        const body = await readFile( resolve( file ), 'utf-8' );
+
+        return {
+            $:       cheerio.load( body ),
+            body,
+            options: { uri: url },
+        };
+    }
+
+    /**
+     * Lädt die Konfiguration. Die Optionen der Kommandozeile haben dabei
+     * Vorrang vor der Konfigurationsdatei und den Umgebungsvariablen.
+     *
+     * @param  {Record<string, any>} options
+     * @param  {Record<string, any>} overrides Weitere Werte, etwa "resume"
+     * @return {Promise<{ config: Record<string, any>, sources: string[] }>}
+     * @private
+     */
+    _loadConfig( options, overrides = {} ) {
+        return loadConfiguration( {
+            path:      options.config,
+            overrides: {
+                ...this._getOverrides( options ),
+                ...overrides,
+            },
+        } );
+    }
+
+    /**
+     * Übersetzt die Optionen der Kommandozeile in Konfigurationswerte. Sie
+     * haben Vorrang vor der Konfigurationsdatei.
+     *
+     * @param  {Record<string, any>} options
+     * @return {Record<string, any>}
+     * @private
+     */
+    _getOverrides( options ) {
+        const overrides = {};
+
+        Object.entries( Cli.OVERRIDES )
+              .filter( ( [ option ] ) => options[ option ] !== undefined )
+              .forEach( ( [ option, { key, type, value } ] ) => {
+                  if ( value !== undefined ) {
+                      overrides[ key ] = value;
+                  } else {
+                      overrides[ key ] = type === 'count'
+                                         ? this._parseCount( option, options[ option ] )
+                                         : options[ option ];
+                  }
+              } );
+
+        return overrides;
+    }
+
+    /**
+     * @param  {string} option
+     * @param  {string} value
+     * @return {number}
+     * @private
+     */
+    _parseCount( option, value ) {
+        const count = Number( value );
+
+        if ( !Number.isInteger( count ) || count < 1 ) {
+            throw new UsageError(
+                `The "--${ option }" option must be a positive whole number, got "${ value }".`,
+            );
+        }
+
+        return count;
+    }
+
+    /**
+     * @param  {Record<string, any>} config
+     * @return {string}
+     * @private
+     */
+    _getTargetUrl( config ) {
+        return `${ config.targetScheme }://${ config.targetHost }/`;
+    }
+
+    /**
+     * Zerlegt die Argumente in Befehl, Positionsargumente und Optionen. Werte
+     * können als "--format csv" oder "--format=csv" angegeben werden. Ohne
+     * Befehl starten wir einen Crawl, wie bisher.
+     *
+     * @param  {string[]} argv
+     * @return {{ command: string, positionals: string[], options: Record<string, any> }}
+     * @private
+     */
+    _parseArguments( argv ) {
+        const positionals = [];
+        const options     = {};
+
+        for ( let i = 0; i < argv.length; i++ ) {
+            const argument = argv[ i ];
+
+            if ( !argument.startsWith( '--' ) ) {
+                positionals.push( argument );
+
+                continue;
+            }
+
+            const [ name, inlineValue ] = argument.slice( 2 ).split( /=(.*)/s );
+
+            if ( Cli.FLAGS.includes( name ) ) {
+                options[ name ] = true;
+
+                continue;
+            }
+
+            if ( !Cli.VALUE_OPTIONS.includes( name ) ) {
+                throw new UsageError( `Unknown option "--${ name }".` );
+            }
+
+            const value = inlineValue !== undefined ? inlineValue : argv[ ++i ];
+
+            if ( value === undefined ) {
+                throw new UsageError( `The "--${ name }" option needs a value.` );
+            }
+
+            options[ name ] = value;
+        }
+
+        const [ command = 'crawl', ...rest ] = positionals;
+
+        return { command, positionals: rest, options };
+    }
+}
+
+/**
+ * Ein Fehler in der Benutzung der Kommandozeile. Zusätzlich zur Meldung geben
+ * wir dann die Hilfe aus.
+ */
+class UsageError extends Error {
+}
+
+Cli.EXIT_SUCCESS   = 0;
+Cli.EXIT_FATAL     = 1;
+Cli.EXIT_PARTIAL   = 2;
+Cli.EXIT_UNHEALTHY = 3;
+
+/**
+ * Die Befehle mit ihrer Beschreibung
+ *
+ * @type {Record<string, string>}
+ */
+Cli.COMMANDS = {
+    'crawl':           'Crawl the target site and write the output files',
+    'resume':          'Continue an interrupted crawl from its checkpoint',
+    'validate-config': 'Check the configuration file and exit',
+    'parse':           'Parse a single saved HTML file or URL and print the result',
+    'serve':           'Serve the products of completed runs through a read-only HTTP API',
+};
+
+/**
+ * Optionen, die einen Konfigurationswert überschreiben. Optionen ohne Wert wie
+ * "--quiet" setzen dabei einen festen Wert ("value").
+ *
+ * @type {Record<string, { key: string, type?: string, value?: any }>}
+ */
+Cli.OVERRIDES = {
+    'out':                      { key: 'outputPath' },
+    'format':                   { key: 'outputFormats' },
+    'start-url':                { key: 'startUrl' },
+    'profile':                  { key: 'profile' },
+    'max-pages':                { key: 'maxPages', type: 'count' },
+    'max-products':             { key: 'maxProducts', type: 'count' },
+    'dry-run':                  { key: 'dryRun' },
+    'diff':                     { key: 'diff' },
+    'download-images':          { key: 'downloadImages' },
+    'sitemaps':                 { key: 'sitemaps' },
+    'incremental':              { key: 'incremental' },
+    'log-level':                { key: 'logLevel' },
+    'log-format':               { key: 'logFormat' },
+    'quiet':                    { key: 'logLevel', value: 'warn' },
+    'no-progress':              { key: 'progress', value: false },
+    'record':                   { key: 'httpCache', value: 'record' },
+    'replay':                   { key: 'httpCache', value: 'replay' },
+    'cache-dir':                { key: 'httpCacheDirectory' },
+    'max-connections-per-host': { key: 'maxConnectionsPerHost', type: 'count' },
+    'quiet-hours':              { key: 'quietHours' },
+    'proxy':                    { key: 'proxies' },
+    'rotate-proxies':           { key: 'rotateProxies' },
+    'port':                     { key: 'serverPort', type: 'count' },
+};
+
+/**
+ * Optionen ohne Wert
+ *
+ * @type {string[]}
+ */
+Cli.FLAGS = [
+    'dry-run',
+    'diff',
+    'download-images',
+    'sitemaps',
+    'incremental',
+    'resume',
+    'quiet',
+    'no-progress',
+    'record',
+    'replay',
+    'rotate-proxies',
+    'help',
+];
+
+/**
+ * Optionen mit Wert
+ *
+ * @type {string[]}
+ */
+Cli.VALUE_OPTIONS = [
+    'config',
+    'out',
+    'format',
+    'start-url',
+    'profile',
+    'max-pages',
+    'max-products',
+    'url',
+    'log-level',
+    'log-format',
+    'cache-dir',
+    'max-connections-per-host',
+    'quiet-hours',
+    'proxy',
+    'port',
+];
+
+Cli.USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+${ Object.entries( Cli.COMMANDS ).map( ( [ name, description ] ) => `  ${ name.padEnd( 17 ) }${ description }` ).join( '\n' ) }
+
+  parse <file|url>  Relative links in a file are resolved against --url.
+
+Options:
+  --config <path>       Configuration file (default: config.json)
+  --out <path>          Output directory
+  --format <formats>    Comma-separated output formats, e.g. "csv,json"
+  --start-url <path>    Path to start crawling from
+  --profile <name>      Site profile to use
+  --max-pages <n>       Stop after crawling n pages
+  --max-products <n>    Stop after finding n products
+  --dry-run             Crawl and parse, but write nothing
+  --diff                Compare the results with the previous run
+  --download-images     Download all product images
+  --sitemaps            Seed the queue from the sitemaps of the target site
+  --incremental         Only re-process pages that changed since the last run
+  --url <url>           Page URL of the file passed to "parse"
+  --log-level <level>   Minimum log level: debug, info, warn, error or silent
+  --log-format <format> Log as "text" or as "json", one object per line
+  --quiet               Only log warnings and errors
+  --no-progress         Do not show the live progress line
+  --record              Record all responses to the HTTP cache
+  --replay              Replay responses from the HTTP cache instead of the network
+  --cache-dir <path>    Directory of the HTTP cache (default: http-cache in the output directory)
+  --max-connections-per-host <n>
+                        Maximum number of simultaneous requests to the same host (default: 2)
+  --quiet-hours <windows>
+                        Comma-separated local time windows in which to crawl more slowly, e.g. "08:00-18:00"
+  --proxy <urls>        Comma-separated HTTP or HTTPS proxies for all requests
+  --rotate-proxies      Use the next proxy for every request instead of the first healthy one
+  --port <n>            Port the "serve" command listens on (default: 3000)
+  --help                Show this help
+
+Exit codes:
+  0  Success
+  1  Fatal error, the crawl did not complete
+  2  Partial failure, some URLs failed or the crawl was stopped with Ctrl+C
+  3  Unhealthy run, too many products failed the validation of the profile schema`;
+
+module.exports = Cli;
@@ -0,0 +1,231 @@
+/**
+ * Differ
+ * ======
+ * Der Differ vergleicht die Produkte zweier Läufe anhand ihrer Artikelnummer
+ * und stellt zusammen, was sich geändert hat: Neue und entfernte Maschinen,
+ * geänderte Preise und geänderte technische Details.
+ */
+class Differ {
+
+    /**
+     * Vergleicht zwei Läufe miteinander.
+     *
+     * @param  {Run} previousRun
+     * @param  {Run} currentRun
+     * @return {DiffReport}
+     */
+    diff( previousRun, currentRun ) {
+        const previous = this._indexByArticleNumber( previousRun.products );
+        const current  = this._indexByArticleNumber( currentRun.products );
+
+        const added         = [];
+        const removed       = [];
+        const priceChanges  = [];
+        const detailChanges = [];
+
+        current.forEach( ( product, articleNumber ) => {
+            const previousProduct = previous.get( articleNumber );
+
+            // Das Produkt gab es im letzten Lauf noch nicht.
+            if ( !previousProduct ) {
+                added.push( this._describe( product ) );
+
+                return;
+            }
+
+            const oldPrice = this._normalizePrice( previousProduct.pricePerDay );
+            const newPrice = this._normalizePrice( product.pricePerDay );
+
+            if ( oldPrice !== newPrice ) {
+                priceChanges.push( {
+                    ...this._describe( product ),
+                    oldPrice,
+                    newPrice,
+                } );
+            }
+
+            const changes = this._diffDetails(
+                previousProduct.technicalDetails,
+                product.technicalDetails,
+            );
+
+            if ( changes.length > 0 ) {
+                detailChanges.push( {
+                    ...this._describe( product ),
+                    changes,
+                } );
+            }
+        } );
+
+        // Alles, was im letzten Lauf da war, jetzt aber fehlt, wurde entfernt.
+        previous.forEach( ( product, articleNumber ) => {
+            if ( !current.has( articleNumber ) ) {
+                removed.push( this._describe( product ) );
+            }
+        } );
+
+        return {
+            previousRun: previousRun.id,
+            currentRun:  currentRun.id,
+            added,
+            removed,
+            priceChanges,
+            detailChanges,
+        };
+    }
+
+    /**
+     * Erstellt eine lesbare Zusammenfassung eines Vergleichs.
+     *
+     * @param  {DiffReport} report
+     * @return {string}
+     */
+    summarize( report ) {
+        const lines = [
+            `Changes between run ${ report.previousRun } and ` +
+            `run ${ report.currentRun }`,
+            '',
+            `Added:           ${ report.added.length }`,
+            `Removed:         ${ report.removed.length }`,
+            `Price changes:   ${ report.priceChanges.length }`,
+            `Details changed: ${ report.detailChanges.length }`,
+        ];
+
+        const section = ( title, entries, format ) => {
+            if ( entries.length === 0 ) {
+                return;
+            }
+
+            lines.push( '', title, '-'.repeat( title.length ) );
+            entries.forEach( entry => lines.push( format( entry ) ) );
+        };
+
+        const label = ( { articleNumber, productName } ) => (
+            `${ articleNumber } ${ productName || '' }`.trim()
+        );
+
+        section( 'Added', report.added, entry => `+ ${ label( entry ) }` );
+        section( 'Removed', report.removed, entry => `- ${ label( entry ) }` );
+        section( 'Price changes', report.priceChanges, entry => (
+            `* ${ label( entry ) }: ` +
+            `${ this._formatPrice( entry.oldPrice ) } -> ` +
+            `${ this._formatPrice( entry.newPrice ) }`
+        ) );
+        section( 'Changed technical details', report.detailChanges, entry => [
+            `* ${ label( entry ) }`,
+            ...entry.changes.map( ( { key, oldValue, newValue } ) => (
+                `    ${ key }: ${ this._formatValue( oldValue ) } -> ` +
+                `${ this._formatValue( newValue ) }`
+            ) ),
+        ].join( '\n' ) );
+
+        return lines.join( '\n' ) + '\n';
+    }
+
+    /**
+     * Vergleicht die technischen Details zweier Versionen eines Produkts.
+     *
+     * @param  {Record<string, any>} oldDetails
+     * @param  {Record<string, any>} newDetails
+     * @return {{ key: string, oldValue: any, newValue: any }[]}
+     * @private
+     */
+    _diffDetails( oldDetails = {}, newDetails = {} ) {
+        const keys = new Set( [
+            ...Object.keys( oldDetails ),
+            ...Object.keys( newDetails ),
+        ] );
+
+        // Die Werte vergleichen wir als JSON. So funktioniert der Vergleich
+        // auch, wenn ein Detail kein einfacher Text ist.
+        return [ ...keys ]
+            .filter( key => (
+                JSON.stringify( oldDetails[ key ] ) !==
+                JSON.stringify( newDetails[ key ] )
+            ) )
+            .map( key => ( {
+                key,
+                oldValue: oldDetails[ key ] === undefined ? null : oldDetails[ key ],
+                newValue: newDetails[ key ] === undefined ? null : newDetails[ key ],
+            } ) );
+    }
+
+    /**
+     * Indiziert eine Liste von Produkten nach ihrer Artikelnummer. Produkte
+     * ohne Artikelnummer können wir nicht zuordnen und lassen sie weg.
+     *
+     * @param  {Record<string, any>[]} products
+     * @return {Map<string, Record<string, any>>}
+     * @private
+     */
+    _indexByArticleNumber( products = [] ) {
+        return new Map( products
+            .filter( ( { articleNumber } ) => articleNumber )
+            .map( product => [ String( product.articleNumber ).trim(), product ] ) );
+    }
+
+    /**
+     * Die Angaben, mit denen wir ein Produkt im Bericht beschreiben.
+     *
+     * @param  {Record<string, any>} product
+     * @return {{ articleNumber: string, productName: string, link: string }}
+     * @private
+     */
+    _describe( { articleNumber, productName, link } ) {
+        return {
+            articleNumber: String( articleNumber ).trim(),
+            productName,
+            link,
+        };
+    }
+
+    /**
+     * Ungültige Preise (NaN, fehlende Werte) behandeln wir einheitlich als
+     * null, damit sie beim Vergleich nicht als Änderung auffallen.
+     *
+     * @param  {any} price
+     * @return {number|null}
+     * @private
+     */
+    _normalizePrice( price ) {
+        return typeof price === 'number' && !Number.isNaN( price )
+               ? price
+               : null;
+    }
+
+    /**
+     * @param  {number|null} price
+     * @return {string}
+     * @private
+     */
+    _formatPrice( price ) {
+        return price === null ? 'n/a' : price.toFixed( 2 );
+    }
+
+    /**
+     * @param  {any} value
+     * @return {string}
+     * @private
+     */
+    _formatValue( value ) {
+        if ( value === null ) {
+            return 'n/a';
+        }
+
+        return typeof value === 'string'
+               ? `"${ value.trim() }"`
+               : JSON.stringify( value );
+    }
+}
+
+/**
+ * @typedef {Object} DiffReport
+ * @property {string}   previousRun   ID des vorherigen Laufs
+ * @property {string}   currentRun    ID des aktuellen Laufs
+ * @property {Object[]} added         Neue Produkte
+ * @property {Object[]} removed       Entfernte Produkte
+ * @property {Object[]} priceChanges  Produkte mit geändertem Tagespreis
+ * @property {Object[]} detailChanges Produkte mit geänderten technischen Details
+ */
+
+module.exports = Differ;
@@ -0,0 +1,219 @@
+/**
+ * Failures
+ * ========
+ * Failures entscheidet, wie wir mit einer fehlgeschlagenen Anfrage umgehen, und
+ * sammelt alle URLs, die endgültig fehlgeschlagen sind. Vorübergehende Fehler
+ * (Zeitüberschreitungen, 429, 503, ...) versuchen wir mit wachsendem Abstand
+ * erneut; dauerhafte Fehler (404, 410, Fehler im Parser, ...) nicht. Erst wenn
+ * zu viele Seiten fehlschlagen, gilt der gesamte Crawl als gescheitert.
+ */
+class Failures {
+
+    /**
+     * Erstellt eine neue Failures-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            transientStatusCodes: [ 408, 425, 429, 500, 502, 503, 504 ],
+            maxRetries:           3,
+            retryDelay:           1_000,
+            maxRetryDelay:        60_000,
+            maxErrorRate:         0.1,
+            ...config,
+        };
+
+        // Alle endgültig fehlgeschlagenen URLs, nach URL
+        this._failures = new Map();
+    }
+
+    /**
+     * Anzahl der endgültig fehlgeschlagenen URLs.
+     *
+     * @return {number}
+     */
+    get size() {
+        return this._failures.size;
+    }
+
+    /**
+     * Der Anteil fehlgeschlagener Seiten, ab dem der Crawl als gescheitert
+     * gilt.
+     *
+     * @return {number}
+     */
+    get maxErrorRate() {
+        return this._config.maxErrorRate;
+    }
+
+    /**
+     * Prüft, ob eine Anfrage fehlgeschlagen ist, und ordnet den Fehler ein. War
+     * die Anfrage erfolgreich, erhalten wir null.
+     *
+     * @param  {Error|null}             error
+     * @param  {CrawlerRequestResponse} response
+     * @return {Failure|null}
+     */
+    classify( error, response ) {
+
+        // Netzwerkfehler (Verbindung abgebrochen, Zeitüberschreitung, ...)
+        // verschwinden meistens von selbst wieder.
+        if ( error ) {
+            return {
+                status:    null,
+                reason:    String( error.message || error ),
+                transient: true,
+            };
+        }
+
+        const status = response.statusCode;
+
+        if ( status >= 200 && status < 300 ) {
+            return null;
+        }
+
+        return {
+            status,
+            reason:    `HTTP ${ status }`,
+            transient: this._config.transientStatusCodes.includes( status ),
+        };
+    }
+
+    /**
+     * Prüft, ob wir eine fehlgeschlagene Anfrage noch einmal versuchen.
+     *
+     * @param  {Failure} failure
+     * @param  {number}  attempt Der wievielte Versuch fehlgeschlagen ist
+     * @return {boolean}
+     */
+    shouldRetry( failure, attempt ) {
+        return failure.transient && attempt <= this._config.maxRetries;
+    }
+
+    /**
+     * Berechnet, wie lange wir vor dem nächsten Versuch warten. Der Abstand
+     * verdoppelt sich mit jedem Versuch. Schickt der Server einen
+     * "Retry-After"-Header, halten wir uns daran, wenn er länger ist.
+     *
+     * @param  {number}             attempt    Der wievielte Versuch fehlgeschlagen ist
+     * @param  {string|undefined}   retryAfter Der Wert des "Retry-After"-Headers
+     * @return {number} Die Wartezeit in Millisekunden
+     */
+    getRetryDelay( attempt, retryAfter = undefined ) {
+        const backoff = Math.min(
+            this._config.retryDelay * 2 ** ( attempt - 1 ),
+            this._config.maxRetryDelay,
+        );
+
+        return Math.max( backoff, this.parseRetryAfter( retryAfter ) );
+    }
+
+    /**
+     * Vermerkt eine URL als endgültig fehlgeschlagen.
+     *
+     * @param {string}  url
+     * @param {string}  type     Was wir abgerufen haben: "page" oder "image"
+     * @param {Failure} failure
+     * @param {number}  attempts Wie oft wir es versucht haben
+     */
+    record( url, type, failure, attempts ) {
+        this._failures.set( url, {
+            url,
+            type,
+            status:   failure.status,
+            reason:   failure.reason,
+            attempts,
+            failedAt: ( new Date() ).toISOString(),
+        } );
+    }
+
+    /**
+     * Berechnet den Anteil der fehlgeschlagenen Seiten. Bilder zählen dabei
+     * nicht mit: Ein fehlendes Bild macht den Crawl nicht unbrauchbar.
+     *
+     * @param  {number} processed Anzahl aller bearbeiteten Seiten
+     * @return {number}
+     */
+    getErrorRate( processed ) {
+        return processed > 0 ? this.countPages() / processed : 0;
+    }
+
+    /**
+     * Prüft, ob so viele Seiten fehlgeschlagen sind, dass der Crawl als
+     * gescheitert gilt.
+     *
+     * @param  {number} processed Anzahl aller bearbeiteten Seiten
+     * @return {boolean}
+     */
+    exceedsThreshold( processed ) {
+        return this.getErrorRate( processed ) > this._config.maxErrorRate;
+    }
+
+    /**
+     * Stellt die Fehler wieder her, etwa aus einem Checkpoint.
+     *
+     * @param {FailureRecord[]} failures
+     */
+    restore( failures = [] ) {
+        this._failures = new Map( failures.map( failure => [ failure.url, failure ] ) );
+    }
+
+    /**
+     * Liefert alle Fehler in einer Form, die sich als JSON speichern lässt.
+     *
+     * @return {FailureRecord[]}
+     */
+    toJSON() {
+        return [ ...this._failures.values() ];
+    }
+
+    /**
+     * Anzahl der fehlgeschlagenen Seiten, ohne Bilder.
+     *
+     * @return {number}
+     */
+    countPages() {
+        return this.toJSON().filter( ( { type } ) => type === 'page' ).length;
+    }
+
+    /**
+     * Liest den "Retry-After"-Header. Er enthält entweder eine Anzahl Sekunden
+     * oder ein Datum im HTTP-Format.
+     *
+     * @param  {string|undefined} retryAfter
+     * @return {number} Die Wartezeit in Millisekunden
+     */
+    parseRetryAfter( retryAfter ) {
+        if ( !retryAfter ) {
+            return 0;
+        }
+
+        if ( /^\s*\d+\s*$/.test( retryAfter ) ) {
+            return Number( retryAfter ) * 1000;
+        }
+
+        const date = Date.parse( retryAfter );
+
+        return Number.isNaN( date ) ? 0 : Math.max( date - Date.now(), 0 );
+    }
+}
+
+/**
+ * @typedef {Object} Failure
+ * @property {number|null} status    Der HTTP-Status, bei Netzwerkfehlern null
+ * @property {string}      reason    Warum die Anfrage fehlgeschlagen ist
+ * @property {boolean}     transient Ob sich ein erneuter Versuch lohnt
+ */
+
+/**
+ * @typedef {Object} FailureRecord
+ * @property {string}      url
+ * @property {string}      type     "page" oder "image"
+ * @property {number|null} status
+ * @property {string}      reason
+ * @property {number}      attempts
+ * @property {string}      failedAt
+ */
+
+module.exports = Failures;
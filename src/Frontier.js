@@ -0,0 +1,256 @@
+/**
+ * Frontier
+ * ========
+ * Die Frontier steht vor der Warteschlange des Crawlers. Sie bringt alle URLs
+ * in eine einheitliche Form, filtert URLs außerhalb des Crawling-Bereichs aus
+ * und sorgt dafür, dass jede URL nur ein einziges Mal gecrawlt wird.
+ */
+class Frontier {
+
+    /**
+     * Erstellt eine neue Frontier-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            targetScheme:       'https',
+            trackingParameters: [
+                'utm_*',
+                'gclid',
+                'fbclid',
+                'msclkid',
+                'mc_cid',
+                'mc_eid',
+                '_ga',
+            ],
+            scope:              {},
+            ...config,
+        };
+
+        // Die Muster aus der Konfiguration übersetzen wir nur einmal in
+        // reguläre Ausdrücke, anstatt bei jeder URL aufs Neue.
+        const { include = [], exclude = [] } = this._config.scope;
+
+        this._include = include.map( pattern => new RegExp( pattern ) );
+        this._exclude = exclude.map( pattern => new RegExp( pattern ) );
+
+        // Den Zielhost bringen wir in dieselbe Form wie die Hosts der URLs:
+        // "WWW.Example.com:443" ist bei HTTPS derselbe Host wie
+        // "www.example.com".
+        const target = this._config.targetHost
+                       ? new URL( this._getTargetOrigin() )
+                       : null;
+
+        this._targetHost     = target && target.host;
+        this._targetProtocol = target && target.protocol;
+
+        // URLs, die in der Warteschlange liegen, aber noch nicht vollständig
+        // bearbeitet wurden.
+        this._pending = new Set();
+
+        // URLs, die bereits vollständig bearbeitet wurden.
+        this._completed = new Set();
+    }
+
+    /**
+     * Alle URLs, die noch auf ihre Bearbeitung warten.
+     *
+     * @return {Set<string>}
+     */
+    get pending() {
+        return this._pending;
+    }
+
+    /**
+     * Alle URLs, die bereits bearbeitet wurden.
+     *
+     * @return {Set<string>}
+     */
+    get completed() {
+        return this._completed;
+    }
+
+    /**
+     * Nimmt eine URL in die Frontier auf. Zurückgegeben wird die normalisierte
+     * URL, oder null, wenn die URL nicht gecrawlt werden soll: Weil sie
+     * außerhalb des Crawling-Bereichs liegt, oder weil wir sie schon kennen.
+     *
+     * @param  {string}      url
+     * @param  {string|null} baseUrl URL der Seite, auf der die URL gefunden
+     *                               wurde. Relative Links werden relativ zu ihr
+     *                               aufgelöst.
+     * @return {string|null}
+     */
+    push( url, baseUrl = null ) {
+        const normalizedUrl = this.normalize( url, baseUrl );
+
+        if ( !normalizedUrl || !this.isInScope( normalizedUrl ) ) {
+            return null;
+        }
+
+        if ( this.has( normalizedUrl ) ) {
+            return null;
+        }
+
+        this._pending.add( normalizedUrl );
+
+        return normalizedUrl;
+    }
+
+    /**
+     * Markiert eine URL als vollständig bearbeitet.
+     *
+     * @param {string} url
+     */
+    complete( url ) {
+        this._pending.delete( url );
+        this._completed.add( url );
+    }
+
+    /**
+     * Prüft, ob eine (normalisierte) URL bereits in der Warteschlange liegt
+     * oder schon bearbeitet wurde.
+     *
+     * @param  {string} url
+     * @return {boolean}
+     */
+    has( url ) {
+        return this._pending.has( url ) || this._completed.has( url );
+    }
+
+    /**
+     * Bringt eine URL in eine einheitliche Form: Relative Pfade werden gegen
+     * den Zielhost aufgelöst, URLs auf dem Zielhost erhalten dessen Schema,
+     * Fragmente und Tracking-Parameter werden entfernt und die Query-Parameter
+     * sortiert. Dadurch erkennen wir dieselbe Seite auch dann
+     * wieder, wenn sie unterschiedlich verlinkt ist.
+     * Links, die sich nicht als HTTP-URL auflösen lassen (etwa "mailto:" oder
+     * "javascript:"), ergeben null.
+     *
+     * @param  {string}      url
+     * @param  {string|null} baseUrl
+     * @return {string|null}
+     */
+    normalize( url, baseUrl = null ) {
+        if ( typeof url !== 'string' || url.trim() === '' ) {
+            return null;
+        }
+
+        let parsedUrl;
+
+        try {
+            parsedUrl = new URL( url.trim(), baseUrl || this._getTargetOrigin() );
+        } catch ( error ) {
+            return null;
+        }
+
+        if ( ![ 'http:', 'https:' ].includes( parsedUrl.protocol ) ) {
+            return null;
+        }
+
+        // Auf dem Zielhost verwenden wir immer das konfigurierte Schema. Sonst
+        // würden wir eine Seite, die mal mit "http://" und mal mit "https://"
+        // verlinkt ist, zweimal crawlen.
+        if ( parsedUrl.host === this._targetHost && parsedUrl.protocol !== this._targetProtocol ) {
+            parsedUrl.protocol = this._targetProtocol;
+        }
+
+        // Das Fragment (#...) wird nie an den Server geschickt und verweist
+        // immer auf dieselbe Seite.
+        parsedUrl.hash = '';
+
+        // Tracking-Parameter ändern nichts am Inhalt der Seite, deshalb werfen
+        // wir sie raus. Wir kopieren die Schlüssel vorher, weil wir die Liste
+        // sonst während des Durchlaufens verändern würden.
+        [ ...parsedUrl.searchParams.keys() ]
+            .filter( key => this._isTrackingParameter( key ) )
+            .forEach( key => parsedUrl.searchParams.delete( key ) );
+
+        // "?b=2&a=1" und "?a=1&b=2" sind dieselbe Seite.
+        parsedUrl.searchParams.sort();
+
+        return parsedUrl.toString();
+    }
+
+    /**
+     * Prüft, ob eine URL im Crawling-Bereich liegt: Sie muss mit dem Schema
+     * des Zielhosts auf dem Zielhost liegen, auf mindestens eines der
+     * "include"-Muster passen (sofern welche konfiguriert sind) und darf auf
+     * keines der "exclude"-Muster passen. Die Muster werden gegen Pfad und
+     * Query-String geprüft.
+     *
+     * @param  {string} url
+     * @return {boolean}
+     */
+    isInScope( url ) {
+        const parsedUrl = new URL( url );
+
+        if ( parsedUrl.host !== this._targetHost || parsedUrl.protocol !== this._targetProtocol ) {
+            return false;
+        }
+
+        const path = parsedUrl.pathname + parsedUrl.search;
+
+        if (
+            this._include.length > 0 &&
+            !this._include.some( pattern => pattern.test( path ) )
+        ) {
+            return false;
+        }
+
+        return !this._exclude.some( pattern => pattern.test( path ) );
+    }
+
+    /**
+     * Stellt den Zustand der Frontier wieder her, etwa aus einem Checkpoint.
+     *
+     * @param {{ pending: string[], completed: string[] }} state
+     */
+    restore( { pending = [], completed = [] } ) {
+        this._pending   = new Set( pending );
+        this._completed = new Set( completed );
+    }
+
+    /**
+     * Liefert den Zustand der Frontier in einer Form, die sich als JSON
+     * speichern lässt.
+     *
+     * @return {{ pending: string[], completed: string[] }}
+     */
+    toJSON() {
+        return {
+            pending:   [ ...this._pending ],
+            completed: [ ...this._completed ],
+        };
+    }
+
+    /**
+     * Prüft, ob ein Query-Parameter ein Tracking-Parameter ist. Muster mit
+     * einem Sternchen am Ende passen auf alle Parameter mit diesem Präfix.
+     *
+     * @param  {string} key
+     * @return {boolean}
+     * @private
+     */
+    _isTrackingParameter( key ) {
+        return this._config.trackingParameters.some( parameter => (
+            parameter.endsWith( '*' )
+            ? key.startsWith( parameter.slice( 0, -1 ) )
+            : key === parameter
+        ) );
+    }
+
+    /**
+     * Baut den Ursprung des Zielservers, gegen den relative Links aufgelöst
+     * werden.
+     *
+     * @return {string}
+     * @private
+     */
+    _getTargetOrigin() {
+        return `${ this._config.targetScheme }://${ this._config.targetHost }`;
+    }
+}
+
+module.exports = Frontier;
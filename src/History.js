@@ -0,0 +1,202 @@
+const { resolve }                             = require( 'path' );
+const { mkdir, readdir, readFile, writeFile } = require( 'fs' ).promises;
+
+/**
+ * History
+ * =======
+ * Die History bewahrt nach jedem vollständigen Crawl einen Schnappschuss aller
+ * Produkte im Ausgabepfad auf. Dadurch können wir spätere Läufe mit früheren
+ * vergleichen, unabhängig davon, in welchen Formaten die Ausgabe geschrieben
+ * wurde.
+ *
+ * Neben jedem Schnappschuss liegt eine kleine Zusammenfassung mit der Zahl der
+ * Produkte, damit sich die Läufe auflisten lassen, ohne alle zu laden.
+ */
+class History {
+
+    /**
+     * Erstellt eine neue History-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            historyDirectory: 'runs',
+            ...config,
+        };
+    }
+
+    /**
+     * Speichert den Schnappschuss eines Laufs.
+     *
+     * @param  {Run} run
+     * @return {Promise<void>}
+     */
+    async save( run ) {
+        await mkdir( this._getDirectoryPath(), { recursive: true } );
+        await writeFile( this._getFilePath( run.id ), JSON.stringify( run ) );
+        await writeFile( this._getSummaryPath( run.id ), JSON.stringify( History._summarize( run ) ) );
+    }
+
+    /**
+     * Listet die IDs aller gespeicherten Läufe auf, vom ältesten zum neuesten.
+     *
+     * @return {Promise<string[]>}
+     */
+    async list() {
+        let files;
+
+        try {
+            files = await readdir( this._getDirectoryPath() );
+        } catch ( error ) {
+
+            // Es gibt noch keinen Ordner, also auch noch keine Läufe.
+            if ( error.code === 'ENOENT' ) {
+                return [];
+            }
+
+            throw error;
+        }
+
+        // Die IDs sind Zeitstempel im ISO-Format, deshalb entspricht die
+        // alphabetische auch der zeitlichen Reihenfolge.
+        return files
+            .filter( file => file.endsWith( '.json' ) && !file.endsWith( History.SUMMARY_SUFFIX ) )
+            .map( file => file.slice( 0, -'.json'.length ) )
+            .sort();
+    }
+
+    /**
+     * Lädt den Schnappschuss eines Laufs.
+     *
+     * @param  {string} id
+     * @return {Promise<Run>}
+     */
+    async load( id ) {
+        const contents = await readFile( this._getFilePath( id ), 'utf-8' );
+
+        return JSON.parse( contents );
+    }
+
+    /**
+     * Lädt die Zusammenfassung eines Laufs. Läufe aus älteren Versionen haben
+     * noch keine, dann laden wir den ganzen Schnappschuss und fassen ihn
+     * zusammen.
+     *
+     * @param  {string} id
+     * @return {Promise<RunSummary>}
+     */
+    async loadSummary( id ) {
+        try {
+            const contents = await readFile( this._getSummaryPath( id ), 'utf-8' );
+
+            return JSON.parse( contents );
+        } catch ( error ) {
+            if ( error.code !== 'ENOENT' ) {
+                throw error;
+            }
+        }
+
+        return History._summarize( await this.load( id ) );
+    }
+
+    /**
+     * Lädt den neuesten gespeicherten Lauf. Gibt es noch keinen, erhalten wir
+     * null zurück.
+     *
+     * @return {Promise<Run|null>}
+     */
+    async latest() {
+        const ids = await this.list();
+
+        return ids.length > 0
+               ? this.load( ids[ ids.length - 1 ] )
+               : null;
+    }
+
+    /**
+     * Erstellt die ID für einen Lauf aus seinem Startzeitpunkt. Doppelpunkte
+     * ersetzen wir, weil sie nicht in allen Dateisystemen erlaubt sind.
+     *
+     * @param  {Date} date
+     * @return {string}
+     */
+    static createRunId( date ) {
+        return date.toISOString().replace( /:/g, '-' );
+    }
+
+    /**
+     * Fasst einen Lauf zusammen: alles außer den Produkten, statt ihrer nur
+     * ihre Anzahl.
+     *
+     * @param  {Run} run
+     * @return {RunSummary}
+     * @private
+     */
+    static _summarize( { id, startedAt, finishedAt, outputFiles, products } ) {
+        return { id, startedAt, finishedAt, products: products.length, outputFiles };
+    }
+
+    /**
+     * Baut den vollständigen Pfad zum Ordner mit den Schnappschüssen.
+     *
+     * @return {string}
+     * @private
+     */
+    _getDirectoryPath() {
+        return resolve(
+            this._config.outputPath,
+            this._config.historyDirectory,
+        );
+    }
+
+    /**
+     * Baut den vollständigen Pfad zum Schnappschuss eines Laufs.
+     *
+     * @param  {string} id
+     * @return {string}
+     * @private
+     */
+    _getFilePath( id ) {
+        return resolve( this._getDirectoryPath(), `${ id }.json` );
+    }
+
+    /**
+     * Baut den vollständigen Pfad zur Zusammenfassung eines Laufs.
+     *
+     * @param  {string} id
+     * @return {string}
+     * @private
+     */
+    _getSummaryPath( id ) {
+        return resolve( this._getDirectoryPath(), `${ id }${ History.SUMMARY_SUFFIX }` );
+    }
+}
+
+/**
+ * Endung der Zusammenfassungen. Sie endet ebenfalls auf ".json", deshalb
+ * muss list() sie ausdrücklich überspringen.
+ *
+ * @type {string}
+ */
+History.SUMMARY_SUFFIX = '.summary.json';
+
+/**
+ * @typedef {Object} Run
+ * @property {string}                id          ID des Laufs
+ * @property {string}                startedAt   Startzeitpunkt im ISO-Format
+ * @property {string}                finishedAt  Endzeitpunkt im ISO-Format
+ * @property {string[]}              outputFiles Pfade der Ausgabedateien
+ * @property {Record<string, any>[]} products    Alle Produkte des Laufs
+ */
+
+/**
+ * @typedef {Object} RunSummary
+ * @property {string}   id          ID des Laufs
+ * @property {string}   startedAt   Startzeitpunkt im ISO-Format
+ * @property {string}   finishedAt  Endzeitpunkt im ISO-Format
+ * @property {number}   products    Anzahl der Produkte
+ * @property {string[]} outputFiles Pfade der Ausgabedateien
+ */
+
+module.exports = History;
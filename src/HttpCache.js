@@ -0,0 +1,197 @@
+const { createHash }                = require( 'crypto' );
+const { readFileSync }              = require( 'fs' );
+const { resolve }                   = require( 'path' );
+const { mkdir, readdir, writeFile } = require( 'fs' ).promises;
+
+/**
+ * HttpCache
+ * =========
+ * Der HttpCache zeichnet die Antworten eines Crawls auf und spielt sie später
+ * wieder ab. Im Modus "record" speichert er jede Antwort mit URL, Status,
+ * Headern und Inhalt in einer eigenen Datei. Im Modus "replay" liefert er die
+ * Antworten aus diesen Dateien, ohne das Netzwerk zu benutzen. So lässt sich
+ * ein Crawl beliebig oft und ohne Zielseite wiederholen, etwa um Änderungen am
+ * Parser gegen echte Seiten zu prüfen oder einen Fehler aus einem früheren
+ * Lauf nachzustellen.
+ */
+class HttpCache {
+
+    /**
+     * Erstellt eine neue HttpCache-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            httpCache:          null,
+            httpCacheDirectory: 'http-cache',
+            ...config,
+        };
+
+        // Die Dateien, die im Cache liegen. Beim Abspielen wissen wir so, ohne
+        // die Festplatte zu fragen, ob wir eine Antwort haben.
+        this._files = new Set();
+
+        // Die URLs, nach denen beim Abspielen gefragt wurde, die aber nicht im
+        // Cache liegen.
+        this._misses = new Set();
+    }
+
+    /**
+     * Ob wir Antworten aufzeichnen.
+     *
+     * @return {boolean}
+     */
+    get isRecording() {
+        return this._config.httpCache === 'record';
+    }
+
+    /**
+     * Ob wir Antworten aus dem Cache abspielen.
+     *
+     * @return {boolean}
+     */
+    get isReplaying() {
+        return this._config.httpCache === 'replay';
+    }
+
+    /**
+     * Die URLs, die beim Abspielen nicht im Cache lagen.
+     *
+     * @return {string[]}
+     */
+    get misses() {
+        return [ ...this._misses ];
+    }
+
+    /**
+     * Erstellt den Cache-Ordner und liest, welche Antworten darin liegen.
+     *
+     * @return {Promise<void>}
+     */
+    async initialize() {
+        if ( this.isRecording ) {
+            await mkdir( this._getDirectoryPath(), { recursive: true } );
+
+            return;
+        }
+
+        if ( !this.isReplaying ) {
+            return;
+        }
+
+        try {
+            this._files = new Set( await readdir( this._getDirectoryPath() ) );
+        } catch ( error ) {
+            if ( error.code === 'ENOENT' ) {
+                throw new Error(
+                    `HTTP cache not found: There is no directory ` +
+                    `"${ this._getDirectoryPath() }" to replay responses ` +
+                    'from. Record a crawl with "httpCache" set to "record" first.',
+                );
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Prüft, ob eine Antwort für eine URL im Cache liegt.
+     *
+     * @param  {string} url
+     * @return {boolean}
+     */
+    has( url ) {
+        return this._files.has( this._getFileName( url ) );
+    }
+
+    /**
+     * Liest eine Antwort aus dem Cache. Liegt sie nicht darin, merken wir uns
+     * die URL und erhalten null.
+     * Die Datei lesen wir synchron: Der Crawler legt seine Anfragen synchron in
+     * die Warteschlange, und nur so bleibt sein Ende zuverlässig erkennbar.
+     *
+     * @param  {string} url
+     * @return {CachedResponse|null}
+     */
+    load( url ) {
+        if ( !this.has( url ) ) {
+            this._misses.add( url );
+
+            return null;
+        }
+
+        const entry = JSON.parse( readFileSync( this._getFilePath( url ), 'utf-8' ) );
+
+        return {
+            url:     entry.url,
+            status:  entry.status,
+            headers: entry.headers,
+            body:    Buffer.from( entry.body, entry.encoding ),
+        };
+    }
+
+    /**
+     * Zeichnet eine Antwort auf. Eine frühere Antwort für dieselbe URL wird
+     * dabei überschrieben; wird eine Anfrage wiederholt, bleibt so die letzte.
+     * Texte speichern wir lesbar, Binärdaten wie Bilder als Base64.
+     *
+     * @param  {CrawlerRequestResponse} response
+     * @return {Promise<void>}
+     */
+    async record( response ) {
+        const url      = response.options.uri;
+        const isBinary = Buffer.isBuffer( response.body );
+        const entry    = {
+            url,
+            status:     response.statusCode,
+            headers:    response.headers,
+            encoding:   isBinary ? 'base64' : 'utf-8',
+            body:       isBinary ? response.body.toString( 'base64' ) : String( response.body ),
+            recordedAt: ( new Date() ).toISOString(),
+        };
+
+        await writeFile( this._getFilePath( url ), JSON.stringify( entry, null, 4 ) + '\n' );
+
+        this._files.add( this._getFileName( url ) );
+    }
+
+    /**
+     * Benennt die Datei einer URL nach ihrem Hash: URLs können Zeichen
+     * enthalten, die in Dateinamen nicht erlaubt sind.
+     *
+     * @param  {string} url
+     * @return {string}
+     * @private
+     */
+    _getFileName( url ) {
+        return `${ createHash( 'sha256' ).update( url ).digest( 'hex' ) }.json`;
+    }
+
+    /**
+     * @param  {string} url
+     * @return {string}
+     * @private
+     */
+    _getFilePath( url ) {
+        return resolve( this._getDirectoryPath(), this._getFileName( url ) );
+    }
+
+    /**
+     * @return {string}
+     * @private
+     */
+    _getDirectoryPath() {
+        return resolve( this._config.outputPath, this._config.httpCacheDirectory );
+    }
+}
+
+/**
+ * @typedef {Object} CachedResponse
+ * @property {string}                 url
+ * @property {number}                 status
+ * @property {Record<string, string>} headers
+ * @property {Buffer}                 body
+ */
+
+module.exports = HttpCache;
@@ -0,0 +1,208 @@
+const util = require( 'util' );
+
+/**
+ * Logger
+ * ======
+ * Der Logger schreibt die Meldungen aller Komponenten. Jede Meldung hat eine
+ * Stufe; Meldungen unterhalb der konfigurierten Stufe fallen weg. Als Text
+ * sind die Zeilen für Menschen gedacht, als JSON für die Weiterverarbeitung,
+ * etwa durch einen Log-Shipper: eine Meldung pro Zeile.
+ * Während des Crawls zeigt der Logger außerdem eine Fortschrittszeile an, die
+ * sich laufend aktualisiert. Sie erscheint nur in einem Terminal und nie im
+ * JSON-Format, damit sie keine Log-Dateien verstopft.
+ */
+class Logger {
+
+    /**
+     * Erstellt eine neue Logger-Instanz.
+     *
+     * @param {Record<string, any>}                         config
+     * @param {{ write: function(string), isTTY?: boolean }} stream         Ziel der Meldungen
+     * @param {{ write: function(string), isTTY?: boolean }} progressStream Ziel der Fortschrittszeile
+     */
+    constructor( config = {}, stream = process.stdout, progressStream = process.stderr ) {
+        this._config = {
+            logLevel:  'info',
+            logFormat: 'text',
+            progress:  true,
+            ...config,
+        };
+
+        if ( !Logger.LEVELS.includes( this._config.logLevel ) ) {
+            throw new Error(
+                `Unknown log level "${ this._config.logLevel }". ` +
+                `Available levels: ${ Logger.LEVELS.join( ', ' ) }.`,
+            );
+        }
+
+        this._stream         = stream;
+        this._progressStream = progressStream;
+
+        // Die zuletzt angezeigte Fortschrittszeile. Bevor wir eine Meldung
+        // schreiben, löschen wir sie, und zeichnen sie danach neu.
+        this._progressLine = null;
+    }
+
+    /**
+     * @param {string}              message
+     * @param {Record<string, any>} fields  Zusätzliche Angaben für das JSON-Format
+     */
+    debug( message, fields = {} ) {
+        this._log( 'debug', message, fields );
+    }
+
+    /**
+     * @param {string}              message
+     * @param {Record<string, any>} fields
+     */
+    info( message, fields = {} ) {
+        this._log( 'info', message, fields );
+    }
+
+    /**
+     * @param {string}              message
+     * @param {Record<string, any>} fields
+     */
+    warn( message, fields = {} ) {
+        this._log( 'warn', message, fields );
+    }
+
+    /**
+     * @param {string}              message
+     * @param {Record<string, any>} fields
+     */
+    error( message, fields = {} ) {
+        this._log( 'error', message, fields );
+    }
+
+    /**
+     * Prüft, ob Meldungen einer Stufe geschrieben werden. So lassen sich
+     * aufwendige Meldungen vermeiden, die ohnehin niemand sieht.
+     *
+     * @param  {string} level
+     * @return {boolean}
+     */
+    isEnabled( level ) {
+        return Logger.LEVELS.indexOf( level ) >= Logger.LEVELS.indexOf( this._config.logLevel );
+    }
+
+    /**
+     * Erstellt einen Adapter für die Library crawler, damit auch ihre
+     * Meldungen durch diesen Logger laufen. Sie beschreiben Interna, etwa
+     * Antworten, die kein HTML sind; deshalb landen sie auf der Stufe
+     * "debug", nur ihre Fehler als Warnung.
+     *
+     * @return {{ log: function(string, ...any) }}
+     */
+    forCrawler() {
+        return {
+            log: ( level, ...args ) => this._log(
+                [ 'error', 'critical' ].includes( level ) ? 'warn' : 'debug',
+                `crawler: ${ util.format( ...args ) }`,
+                {},
+            ),
+        };
+    }
+
+    /**
+     * Aktualisiert die Fortschrittszeile.
+     *
+     * @param {ProgressReport} report
+     */
+    progress( report ) {
+        if ( !this._isShowingProgress() ) {
+            return;
+        }
+
+        this._progressLine = [
+            `Pages: ${ report.pages }`,
+            `Queue: ${ report.queue }`,
+            `Products: ${ report.products }`,
+            `Errors: ${ report.errors }`,
+            `${ report.requestsPerSecond.toFixed( 1 ) } requests/s`,
+        ].join( ' | ' );
+
+        this._drawProgress();
+    }
+
+    /**
+     * Entfernt die Fortschrittszeile, etwa am Ende des Crawls.
+     */
+    clearProgress() {
+        if ( this._progressLine === null ) {
+            return;
+        }
+
+        this._eraseProgress();
+        this._progressLine = null;
+    }
+
+    /**
+     * @param {string}              level
+     * @param {string}              message
+     * @param {Record<string, any>} fields
+     * @private
+     */
+    _log( level, message, fields ) {
+        if ( !this.isEnabled( level ) ) {
+            return;
+        }
+
+        const time = ( new Date() ).toISOString();
+        const line = this._config.logFormat === 'json'
+                     ? JSON.stringify( { time, level, message, ...fields } )
+                     : `${ time }\t${ level.toUpperCase().padEnd( 5 ) }\t${ message }`;
+
+        this._eraseProgress();
+        this._stream.write( `${ line }\n` );
+        this._drawProgress();
+    }
+
+    /**
+     * @return {boolean}
+     * @private
+     */
+    _isShowingProgress() {
+        return this._config.progress &&
+               this._config.logFormat !== 'json' &&
+               this._config.logLevel !== 'silent' &&
+               Boolean( this._progressStream.isTTY );
+    }
+
+    /**
+     * @private
+     */
+    _drawProgress() {
+        if ( this._progressLine !== null ) {
+            this._progressStream.write( `\r${ this._progressLine }\x1b[K` );
+        }
+    }
+
+    /**
+     * @private
+     */
+    _eraseProgress() {
+        if ( this._progressLine !== null ) {
+            this._progressStream.write( '\r\x1b[K' );
+        }
+    }
+}
+
+/**
+ * Die Stufen, von der ausführlichsten bis "silent", das alle Meldungen
+ * unterdrückt.
+ *
+ * @type {string[]}
+ */
+Logger.LEVELS = [ 'debug', 'info', 'warn', 'error', 'silent' ];
+
+/**
+ * @typedef {Object} ProgressReport
+ * @property {number} pages             Anzahl der bearbeiteten Seiten
+ * @property {number} queue             Anzahl der URLs in der Warteschlange
+ * @property {number} products          Anzahl der Produkte im Katalog
+ * @property {number} errors            Anzahl der endgültig fehlgeschlagenen URLs
+ * @property {number} requestsPerSecond Antworten pro Sekunde seit dem Start
+ */
+
+module.exports = Logger;
@@ -0,0 +1,180 @@
+const { parseGermanNumber } = require( './numbers' );
+
+/**
+ * Normalizer
+ * ==========
+ * Der Normalizer sitzt zwischen Parser und Writer. Er räumt die Texte auf, die
+ * der Parser aus der Seite liest, und wandelt Preise und technische Details in
+ * Zahlen mit Einheit um. So lassen sich die Maschinen später etwa nach Gewicht
+ * oder Leistung filtern. Die Rohwerte bleiben dabei immer erhalten.
+ */
+class Normalizer {
+
+    /**
+     * Erstellt eine neue Normalizer-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            priceFields:     [ 'pricePerDay' ],
+            unitConversions: {},
+            ...config,
+        };
+
+        // Eigene Umrechnungen aus der Konfiguration ergänzen oder ersetzen die
+        // mitgelieferten.
+        this._conversions = {
+            ...Normalizer.UNIT_CONVERSIONS,
+            ...this._config.unitConversions,
+        };
+    }
+
+    /**
+     * Normalisiert ein Ergebnis des Parsers.
+     *
+     * @param  {Record<string, any>} result
+     * @return {Record<string, any>}
+     */
+    normalize( result ) {
+        const normalized = { ...result };
+
+        // Einfache Textfelder befreien wir von Leerzeichen an Anfang und Ende.
+        // Beschreibungen behalten dabei ihre Zeilenumbrüche.
+        Object.entries( normalized )
+              .filter( ( [ , value ] ) => typeof value === 'string' )
+              .forEach( ( [ key, value ] ) => {
+                  normalized[ key ] = value.trim();
+              } );
+
+        // Preise lesen wir als deutsche Zahl aus dem aufgeräumten Text. Den
+        // ursprünglichen Text behalten wir unverändert daneben, etwa als
+        // "pricePerDayRaw".
+        this._config.priceFields
+            .filter( field => typeof result[ field ] === 'string' )
+            .forEach( field => {
+                const raw = result[ field ];
+
+                normalized[ `${ field }Raw` ] = raw;
+                normalized[ field ]           = parseGermanNumber( raw.trim() );
+            } );
+
+        const details = Object.entries( result.technicalDetails || {} )
+            .map( ( [ key, value ] ) => [
+                this._cleanText( key ),
+                String( value ),
+            ] )
+            .filter( ( [ key ] ) => key !== '' );
+
+        // Die technischen Details bleiben als aufgeräumte Texte erhalten...
+        normalized.technicalDetails = Object.fromEntries( details.map(
+            ( [ key, value ] ) => [ key, this._cleanText( value ) ],
+        ) );
+
+        // ...und kommen zusätzlich als Zahl mit Einheit in "specifications".
+        normalized.specifications = Object.fromEntries( details.map(
+            ( [ key, value ] ) => [ key, this.parseQuantity( value ) ],
+        ) );
+
+        return normalized;
+    }
+
+    /**
+     * Zerlegt einen Wert in Zahl und Einheit, etwa "3,5 m" in 3.5 und "m".
+     * Gibt es für die Einheit eine Umrechnung, wird der Wert zusätzlich in die
+     * SI-Einheit umgerechnet ("2,5 kW" wird zu 2500 W). Werte, die nicht mit
+     * einer Zahl beginnen, behalten nur ihren Text.
+     *
+     * @param  {string} raw
+     * @return {Quantity}
+     */
+    parseQuantity( raw ) {
+        const text     = this._cleanText( raw );
+        const quantity = {
+            raw,
+            text,
+            value:   null,
+            unit:    null,
+            siValue: null,
+            siUnit:  null,
+        };
+
+        const match = text.match( /^(ca\.\s*)?([-+]?\d[\d.\s]*(?:,\d+)?)\s*(.*)$/i );
+
+        if ( !match ) {
+            return quantity;
+        }
+
+        quantity.value = parseGermanNumber( match[ 2 ] );
+        quantity.unit  = match[ 3 ] || null;
+
+        const conversion = quantity.unit && this._conversions[ quantity.unit ];
+
+        if ( conversion && quantity.value !== null ) {
+
+            // Beim Umrechnen entstehen Rundungsfehler (3,5 cm sind sonst
+            // 0.035000000000000003 m), deshalb runden wir auf zwölf Stellen.
+            quantity.siValue = Number(
+                ( quantity.value * conversion.factor ).toPrecision( 12 ),
+            );
+            quantity.siUnit  = conversion.unit;
+        }
+
+        return quantity;
+    }
+
+    /**
+     * Fasst Leerzeichen, Tabulatoren und Zeilenumbrüche zu einem Leerzeichen
+     * zusammen und entfernt sie am Anfang und Ende. Auch einen Doppelpunkt am
+     * Ende ("Gewicht:") entfernen wir.
+     *
+     * @param  {string} text
+     * @return {string}
+     * @private
+     */
+    _cleanText( text ) {
+        return String( text )
+            .replace( /\s+/g, ' ' )
+            .trim()
+            .replace( /\s*:$/, '' );
+    }
+}
+
+/**
+ * Die mitgelieferten Umrechnungen in SI-Einheiten. Jede Einheit wird mit dem
+ * Faktor multipliziert und dann in der Zieleinheit angegeben.
+ *
+ * @type {Record<string, { unit: string, factor: number }>}
+ */
+Normalizer.UNIT_CONVERSIONS = {
+    'mm':   { unit: 'm', factor: 0.001 },
+    'cm':   { unit: 'm', factor: 0.01 },
+    'm':    { unit: 'm', factor: 1 },
+    'km':   { unit: 'm', factor: 1000 },
+    'g':    { unit: 'kg', factor: 0.001 },
+    'kg':   { unit: 'kg', factor: 1 },
+    't':    { unit: 'kg', factor: 1000 },
+    'W':    { unit: 'W', factor: 1 },
+    'kW':   { unit: 'W', factor: 1000 },
+    'PS':   { unit: 'W', factor: 735.49875 },
+    'V':    { unit: 'V', factor: 1 },
+    'A':    { unit: 'A', factor: 1 },
+    'Hz':   { unit: 'Hz', factor: 1 },
+    'l':    { unit: 'm³', factor: 0.001 },
+    'm³':   { unit: 'm³', factor: 1 },
+    'bar':  { unit: 'Pa', factor: 100000 },
+    'km/h': { unit: 'm/s', factor: 1 / 3.6 },
+    'dB':   { unit: 'dB', factor: 1 },
+};
+
+/**
+ * @typedef {Object} Quantity
+ * @property {string}      raw     Der Wert, wie er auf der Seite steht
+ * @property {string}      text    Der aufgeräumte Wert
+ * @property {number|null} value   Die Zahl, etwa 3.5
+ * @property {string|null} unit    Die Einheit, etwa "m"
+ * @property {number|null} siValue Die Zahl in der SI-Einheit
+ * @property {string|null} siUnit  Die SI-Einheit
+ */
+
+module.exports = Normalizer;
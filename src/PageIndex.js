@@ -0,0 +1,210 @@
+const { createHash }                  = require( 'crypto' );
+const { resolve }                     = require( 'path' );
+const { readFile, rename, writeFile } = require( 'fs' ).promises;
+
+/**
+ * PageIndex
+ * =========
+ * Der PageIndex merkt sich für jede Seite, was wir beim letzten Lauf über sie
+ * wussten: "ETag" und "Last-Modified" der Antwort, das ausgewertete Ergebnis
+ * mit seinem Hash und die Links darauf. Beim nächsten Lauf fragen wir die
+ * Seite damit bedingt an ("If-None-Match", "If-Modified-Since"). Antwortet der
+ * Server mit 304, übernehmen wir das alte Ergebnis, ohne die Seite noch
+ * einmal auszuwerten. Am Hash erkennen wir, ob sich ein Produkt geändert hat.
+ */
+class PageIndex {
+
+    /**
+     * Erstellt eine neue PageIndex-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            pageIndexFilename: 'pages.json',
+            ...config,
+        };
+
+        // Die Seiten aus dem letzten vollständigen Lauf
+        this._previous = new Map();
+
+        // Die Seiten aus dem aktuellen Lauf. Nur sie landen am Ende im Index:
+        // Seiten, die es nicht mehr gibt, fallen so heraus.
+        this._current = new Map();
+
+        // Die Seiten, die seit dem letzten Checkpoint dazugekommen sind
+        this._changed = new Set();
+
+        this._saving = Promise.resolve();
+    }
+
+    /**
+     * Lädt den Index des letzten Laufs. Gibt es noch keinen, fangen wir mit
+     * einem leeren an.
+     *
+     * @return {Promise<void>}
+     */
+    async load() {
+        try {
+            const contents = await readFile( this._getFilePath(), 'utf-8' );
+
+            this._previous = new Map( Object.entries( JSON.parse( contents ) ) );
+        } catch ( error ) {
+            if ( error.code !== 'ENOENT' ) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Liefert, was wir beim letzten Lauf über eine Seite wussten.
+     *
+     * @param  {string} url
+     * @return {PageRecord|null}
+     */
+    getPrevious( url ) {
+        return this._previous.get( url ) || null;
+    }
+
+    /**
+     * Erstellt die Header für eine bedingte Anfrage. Kennen wir die Seite noch
+     * nicht, gibt es keine.
+     *
+     * @param  {string} url
+     * @return {Record<string, string>}
+     */
+    getConditionalHeaders( url ) {
+        const previous = this.getPrevious( url );
+        const headers  = {};
+
+        if ( previous && previous.etag ) {
+            headers[ 'If-None-Match' ] = previous.etag;
+        }
+
+        if ( previous && previous.lastModified ) {
+            headers[ 'If-Modified-Since' ] = previous.lastModified;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Berechnet den Hash eines Ergebnisses.
+     *
+     * @param  {Record<string, any>|null} result
+     * @return {string|null}
+     */
+    hash( result ) {
+        if ( !result ) {
+            return null;
+        }
+
+        return createHash( 'sha256' ).update( JSON.stringify( result ) ).digest( 'hex' );
+    }
+
+    /**
+     * Vergleicht den Hash eines Ergebnisses mit dem des letzten Laufs.
+     *
+     * @param  {string} url
+     * @param  {string} hash
+     * @return {string} "new", "changed" oder "unchanged"
+     */
+    compare( url, hash ) {
+        const previous = this.getPrevious( url );
+
+        if ( !previous || !previous.hash ) {
+            return PageIndex.NEW;
+        }
+
+        return previous.hash === hash ? PageIndex.UNCHANGED : PageIndex.CHANGED;
+    }
+
+    /**
+     * Vermerkt eine Seite aus dem aktuellen Lauf.
+     *
+     * @param {string}     url
+     * @param {PageRecord} record
+     */
+    set( url, record ) {
+        this._current.set( url, record );
+        this._changed.add( url );
+    }
+
+    /**
+     * Speichert die Seiten des aktuellen Laufs als Index für den nächsten.
+     *
+     * @return {Promise<void>}
+     */
+    save() {
+        const filePath      = this._getFilePath();
+        const temporaryPath = `${ filePath }.tmp`;
+        const contents      = JSON.stringify( Object.fromEntries( this._current ) );
+
+        this._saving = this._saving
+            .catch( () => {} )
+            .then( async () => {
+                await writeFile( temporaryPath, contents );
+                await rename( temporaryPath, filePath );
+            } );
+
+        return this._saving;
+    }
+
+    /**
+     * Stellt die Seiten des aktuellen Laufs wieder her, etwa aus einem
+     * Checkpoint. Wie beim Katalog überschreiben spätere Stände frühere.
+     *
+     * @param {Record<string, PageRecord>} pages
+     */
+    restore( pages = {} ) {
+        Object.entries( pages ).forEach( ( [ url, record ] ) => this._current.set( url, record ) );
+    }
+
+    /**
+     * Liefert die Seiten, die seit dem letzten Aufruf dazugekommen sind.
+     *
+     * @return {Record<string, PageRecord>}
+     */
+    takeChanges() {
+        const changes = Object.fromEntries( [ ...this._changed ].map( url => [ url, this._current.get( url ) ] ) );
+
+        this._changed.clear();
+
+        return changes;
+    }
+
+    /**
+     * Liefert die Seiten des aktuellen Laufs in einer Form, die sich als JSON
+     * speichern lässt.
+     *
+     * @return {Record<string, PageRecord>}
+     */
+    toJSON() {
+        return Object.fromEntries( this._current );
+    }
+
+    /**
+     * @return {string}
+     * @private
+     */
+    _getFilePath() {
+        return resolve( this._config.outputPath, this._config.pageIndexFilename );
+    }
+}
+
+PageIndex.NEW       = 'new';
+PageIndex.CHANGED   = 'changed';
+PageIndex.UNCHANGED = 'unchanged';
+
+/**
+ * @typedef {Object} PageRecord
+ * @property {string|null}              etag         Der "ETag"-Header der Antwort
+ * @property {string|null}              lastModified Der "Last-Modified"-Header der Antwort
+ * @property {string|null}              hash         Der Hash des Ergebnisses
+ * @property {Record<string, any>|null} result       Das normalisierte Ergebnis
+ * @property {string[]}                 nextUrls     Weitere Seiten einer Auflistung und Unterkategorien
+ * @property {string[]}                 productUrls  Links zu Produktseiten
+ * @property {string[]}                 category     Der Kategorie-Pfad der Seite
+ */
+
+module.exports = PageIndex;
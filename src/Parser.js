@@ -1,7 +1,13 @@
+const Logger             = require( './Logger' );
+const StructuredData     = require( './StructuredData' );
+const steps              = require( './profiles/steps' );
+const { resolveProfile } = require( './profiles' );
+
 /**
  * Parser
  * ======
- * Der Parser extrahiert Informationen aus einer Crawling-Antwort.
+ * Der Parser extrahiert Informationen aus einer Crawling-Antwort. Welche
+ * Elemente der Seite er dafür ausliest, beschreibt das Profil der Zielseite.
  */
 class Parser {
 
@@ -9,16 +15,25 @@ class Parser {
      * Erstellt eine neue Parser-Instanz
      *
      * @param {Record<string, any>} config
+     * @param {Logger|null}         logger
      */
-    constructor( config ) {
-        this._config = config;
+    constructor( config, logger = null ) {
+        this._config         = config;
+        this._logger         = logger || new Logger( config );
+        this._profile        = resolveProfile( config );
+        this._structuredData = new StructuredData();
     }
 
     /**
      * Wertet die Antwort aus und erstellt ein Ergebnis.
      *
      * @param  {CrawlerRequestResponse} response
-     * @return {Promise<{ result: {}, nextUrl }>}
+     * @return {Promise<{
+     *     result:      {}|undefined,
+     *     nextUrls:    string[],
+     *     productUrls: string[],
+     *     category:    string[],
+     * }>}
      */
     async parse( response ) {
 
@@ -27,89 +42,339 @@ class Parser {
         // holen.
         const $ = response.$;
 
+        // Die URL der Seite, gegen die wir relative Links auflösen
+        const pageUrl = response.options && response.options.uri;
+
         // Das result-Objekt enthält die Informationen, an denen wir
         // interessiert sind. Wenn die aktuelle Seite keine Daten enthält, aber
         // weiter Links, die gecrawlt werden müssen, übergeben wir hier einfach
         // nur eine URL, und keine Daten.
         let result;
 
-        // Die nextUrl-Variable enthält - wenn vorhanden - die nächste URL, die
-        // gecrawlt werden soll.
+        // Die nextUrls-Variable enthält - wenn vorhanden - die nächsten URLs,
+        // die gecrawlt werden sollen: Weitere Seiten einer Auflistung und
+        // Unterkategorien.
         const nextUrls = [];
 
-        // Hier werten wir das HTML aus.
-        // Wenn die Seite Elemente mit der Klasse "product-row-link" enthält,
-        // sind wir auf einer Produkt-Auflistung. Hier gibt es nur Vorschau-
-        // versionen der Maschinen, also werten wir nur die Links zu den Details
-        // aus und packen sie in die Warteschlange.
-        $( '.product-row-link' ).each( ( i, row ) => {
-            nextUrls.push( $( row ).attr( 'href' ) );
-        } );
+        // Die productUrls-Variable enthält die Links zu Produktseiten, die wir
+        // auf einer Auflistung gefunden haben.
+        const productUrls = [];
+
+        // Der Kategorie-Pfad der aktuellen Seite, so wie er in der Breadcrumb-
+        // Navigation steht, etwa [ "Maschinen", "Bagger" ].
+        const category = this._parseBreadcrumb( $ );
+
+        // Hier werten wir das HTML aus. Welche Elemente wir dabei suchen,
+        // steht im Profil der Zielseite.
+        const { links = {}, product: productSelector } = this._profile;
+
+        // Wenn die Seite Produktlinks enthält, sind wir auf einer Produkt-
+        // Auflistung. Hier gibt es nur Vorschauversionen der Maschinen, also
+        // werten wir nur die Links zu den Details aus und packen sie in die
+        // Warteschlange.
+        productUrls.push( ...this._collectLinks( $, links.products ) );
 
-        const product = $( 'div[itemtype="http://schema.org/Product"]' );
+        // Lange Auflistungen sind auf mehrere Seiten verteilt. Damit uns keine
+        // Maschinen entgehen, folgen wir allen Links der Seitennavigation.
+        nextUrls.push( ...this._collectLinks( $, links.pagination ) );
+
+        // Kategorien enthalten oft weitere Unterkategorien. Indem wir auch
+        // deren Links folgen, laufen wir den gesamten Kategoriebaum ab.
+        nextUrls.push( ...this._collectLinks( $, links.categories ) );
+
+        const product = $( productSelector );
 
         // Wenn auf der aktuellen Seite ein Produktelement existiert, sind wir
         // auf einer Produktseite.
         if ( product.length ) {
 
-            const link          = $( 'link[rel="canonical"]' ).attr( 'href' );
-            const productName   = $( '[itemprop="name"]', product ).text();
-            const productImage  = $( '[itemprop="image"]' ).attr( 'src' );
-            const pricePerDay   = Number( $( '[itemprop="price"]', product )
-                .text()
-
-                // Wir ersetzen das Komma durch einen Punkt, damit wir die Zahl
-                // im deutschen Zahlenformat ins amerikanische übersetzen können
-                // das JavaScript versteht.
-                .replace( ',', '.' ) );
-            const description   = $( '[itemprop="description"]', product ).text();
-            const articleNumber = $( '[itemprop="mpn"]', product )
-                .text()
-
-                // Hier ersetzen wir den Präfix Art.-Nr. durch nichts, um die
-                // reine Artikelnummer im Ergebnis zu erhalten
-                .replace( 'Art.-Nr.', '' );
-
-            const technicalDetailsContainer = $( '.produkte-bottom .left-col ul' );
-            const technicalDetails          = $( 'li', technicalDetailsContainer )
-
-                // Die technischen Details sind sehr simpel aufgebaut: Es gibt
-                // nur einen linken und einen rechten Text-Container - links der
-                // Titel, rechts die Details. Wir extrahieren den Text, und
-                // reichen die Daten weiter.
-                .map( ( i, li ) => ( {
-                    key:   $( '.left', li ).text(),
-                    value: $( '.right', li ).text(),
-                } ) )
+            // Wir lesen alle Felder aus, die das Profil beschreibt.
+            const fields = Object
+                .entries( this._profile.fields || {} )
+                .reduce( ( values, [ name, definition ] ) => ( {
+                    ...values,
+                    [ name ]: this._extractField( $, product, definition ),
+                } ), {} );
 
-                .get()
+            const productName = String( fields.productName || '' ).trim();
 
-                // Hier wird die Liste "reduziert": Das heißt, wir
-                // transformieren die Schlüssel-Wert-Paare in ein Objekt.
-                .reduce( ( details, { key, value } ) => ( {
-                    ...details,
-                    [ key ]: value,
-                } ), {} );
+            // Auf Produktseiten endet die Breadcrumb oft mit dem Namen des
+            // Produkts selbst. Der gehört nicht zum Kategorie-Pfad.
+            const breadcrumb = category[ category.length - 1 ] === productName
+                               ? category.slice( 0, -1 )
+                               : category;
 
             // Wir erstellen erst hier ein Objekt als result. Wenn auf der Seite
             // keine Produktinformationen gefunden werden können, bleibt die
             // Variable undefiniert und es wird keine Ausgabe für den Writer
             // erzeugt.
-            result = {
-                link,
-                productName,
-                productImage,
-                pricePerDay,
-                description,
-                articleNumber,
-                technicalDetails,
+            result = this._mergeStructuredData( {
+                ...fields,
+                technicalDetails: this._parseTechnicalDetails( $, product ),
+                breadcrumb,
+            }, this._structuredData.extractProduct( $ ) );
+
+            // Bilder verlinken die Seiten oft relativ. Damit wir sie später
+            // herunterladen können, lösen wir sie gegen die URL der Seite auf -
+            // das Hauptbild ebenso wie alle anderen.
+            result.images = this._resolveUrls( result.images, pageUrl );
+
+            if ( typeof result.productImage === 'string' && result.productImage !== '' ) {
+                [ result.productImage ] = this._resolveUrls( [ result.productImage ], pageUrl );
+            }
+
+            // Ohne Artikelnummer lässt sich das Produkt später nur über seinen
+            // Link zuordnen. Meist hat sich dann die Seite geändert, und das
+            // Profil passt nicht mehr.
+            if ( !result.articleNumber ) {
+                this._logger.warn(
+                    `No article number found on "${ pageUrl }"`,
+                    { url: pageUrl },
+                );
+            }
+        }
+
+        this._logger.debug(
+            `Found ${ result ? 'a product' : 'no product' }, ` +
+            `${ productUrls.length } product links and ${ nextUrls.length } ` +
+            `further links on "${ pageUrl }"`,
+            { url: pageUrl },
+        );
+
+        // Wir geben die vorher deklarierten Variablen zurück. Wenn keine
+        // weiteren URLs gefunden wurden, wird der Crawler anschließend
+        // gestoppt. Wenn die Daten leer sind, werden einfach nur die nächsten
+        // URLs gecrawlt.
+        return { result, nextUrls, productUrls, category };
+    }
+
+    /**
+     * Sammelt die Ziele aller Links, die auf einen Selektor passen. Ist kein
+     * Selektor konfiguriert, gibt es auch keine Links.
+     *
+     * @param  {CheerioStatic}    $
+     * @param  {string|undefined} selector
+     * @return {string[]}
+     * @private
+     */
+    _collectLinks( $, selector ) {
+        if ( !selector ) {
+            return [];
+        }
+
+        return $( selector )
+            .map( ( i, link ) => $( link ).attr( 'href' ) )
+            .get();
+    }
+
+    /**
+     * Löst relative URLs gegen eine Basis-URL auf. URLs, die sich nicht
+     * auflösen lassen, bleiben wie sie sind; doppelte fallen weg.
+     *
+     * @param  {string[]}         urls
+     * @param  {string|undefined} baseUrl
+     * @return {string[]}
+     * @private
+     */
+    _resolveUrls( urls, baseUrl ) {
+        return [ ...new Set( urls.map( url => {
+            try {
+                return new URL( url, baseUrl ).toString();
+            } catch ( error ) {
+                return url;
+            }
+        } ) ) ];
+    }
+
+    /**
+     * Liest ein einzelnes Feld aus, so wie es im Profil beschrieben ist, und
+     * wendet anschließend die Nachbearbeitungsschritte darauf an.
+     *
+     * @param  {CheerioStatic}   $
+     * @param  {Cheerio}         product
+     * @param  {FieldDefinition} definition
+     * @return {any}
+     * @private
+     */
+    _extractField( $, product, definition ) {
+        const {
+            selector,
+            attribute,
+            scope             = 'product',
+            multiple          = false,
+            steps: fieldSteps = [],
+        } = definition;
+
+        // Manche Angaben, etwa die kanonische URL, stehen nicht im
+        // Produktelement, sondern irgendwo anders auf der Seite.
+        const elements = scope === 'document'
+                         ? $( selector )
+                         : $( selector, product );
+
+        const read = element => ( attribute
+                                  ? $( element ).attr( attribute )
+                                  : $( element ).text() );
+
+        const postProcess = value => ( value === undefined
+                                       ? value
+                                       : this._applySteps( value, fieldSteps ) );
+
+        if ( multiple ) {
+            return elements
+                .map( ( i, element ) => read( element ) )
+                .get()
+                .map( postProcess );
+        }
+
+        // Genau wie jQuery liefert cheerio bei .text() den Text aller
+        // Treffer, bei .attr() aber nur das Attribut des ersten.
+        return postProcess( attribute ? elements.attr( attribute ) : elements.text() );
+    }
+
+    /**
+     * Wendet die Nachbearbeitungsschritte eines Felds nacheinander an.
+     *
+     * @param  {any}                  value
+     * @param  {Array<string|Object>} fieldSteps
+     * @return {any}
+     * @private
+     */
+    _applySteps( value, fieldSteps ) {
+        return fieldSteps.reduce( ( current, step ) => {
+            const [ name, parameter ] = typeof step === 'string'
+                                        ? [ step, undefined ]
+                                        : Object.entries( step )[ 0 ];
+
+            return steps[ name ]( current, parameter );
+        }, value );
+    }
+
+    /**
+     * Ergänzt ein Ergebnis um die strukturierten Daten (schema.org) der Seite:
+     * Alle Angebote mit Preis, Währung, Einheit und Verfügbarkeit, die Kaution,
+     * Marke, GTIN und alle Bilder. Die Felder aus dem Profil behalten dabei
+     * Vorrang; nur wenn eines leer bleibt, füllen wir es aus den strukturierten
+     * Daten.
+     *
+     * @param  {Record<string, any>}    result
+     * @param  {StructuredProduct|null} structured
+     * @return {Record<string, any>}
+     * @private
+     */
+    _mergeStructuredData( result, structured ) {
+        if ( !structured ) {
+            return {
+                ...result,
+                offers:  [],
+                deposit: null,
+                brand:   null,
+                gtin:    null,
+                images:  result.productImage ? [ result.productImage ] : [],
             };
         }
 
-        // Wir geben die beiden vorher deklarierten Variablen zurück. Wenn die
-        // nextUrl leer ist, wird der Crawler anschließend gestoppt.
-        // Wenn die Daten leer sind, wird einfach nur die nächste URL gecrawlt.
-        return { result, nextUrls };
+        const isEmpty = value => (
+            value === undefined ||
+            value === null ||
+            Number.isNaN( value ) ||
+            String( value ).trim() === ''
+        );
+
+        // Als Tagespreis nehmen wir das Angebot pro Tag, oder sonst das erste.
+        const dailyOffer = structured.offers.find( ( { unit } ) => (
+            /^(day|tag)$/i.test( unit || '' )
+        ) ) || structured.offers[ 0 ];
+
+        const fallbacks = {
+            productName:   structured.name,
+            description:   structured.description,
+            productImage:  structured.images[ 0 ],
+            articleNumber: structured.mpn || structured.sku,
+            pricePerDay:   dailyOffer ? dailyOffer.price : undefined,
+        };
+
+        const merged = { ...result };
+
+        Object.entries( fallbacks )
+              .filter( ( [ key, value ] ) => isEmpty( merged[ key ] ) && !isEmpty( value ) )
+              .forEach( ( [ key, value ] ) => {
+                  merged[ key ] = value;
+              } );
+
+        return {
+            ...merged,
+            offers:  structured.offers,
+            deposit: structured.deposit,
+            brand:   structured.brand,
+            gtin:    structured.gtin,
+            images:  [ ...new Set( [
+                ...( merged.productImage ? [ merged.productImage ] : [] ),
+                ...structured.images,
+            ] ) ],
+        };
+    }
+
+    /**
+     * Liest die technischen Details eines Produkts aus.
+     *
+     * @param  {CheerioStatic} $
+     * @param  {Cheerio}       product
+     * @return {Record<string, string>}
+     * @private
+     */
+    _parseTechnicalDetails( $, product ) {
+        const definition = this._profile.technicalDetails;
+
+        if ( !definition ) {
+            return {};
+        }
+
+        return $( definition.selector )
+
+            // Die technischen Details sind sehr simpel aufgebaut: Es gibt
+            // nur einen linken und einen rechten Text-Container - links der
+            // Titel, rechts die Details. Wir extrahieren den Text, und
+            // reichen die Daten weiter.
+            .map( ( i, item ) => ( {
+                key:   $( definition.key, item ).text(),
+                value: $( definition.value, item ).text(),
+            } ) )
+
+            .get()
+
+            // Hier wird die Liste "reduziert": Das heißt, wir
+            // transformieren die Schlüssel-Wert-Paare in ein Objekt.
+            .reduce( ( details, { key, value } ) => ( {
+                ...details,
+                [ key ]: value,
+            } ), {} );
+    }
+
+    /**
+     * Liest den Kategorie-Pfad aus der Breadcrumb-Navigation der Seite. Den
+     * Link zur Startseite lassen wir dabei weg, denn er gehört zu jeder Seite.
+     *
+     * @param  {CheerioStatic} $
+     * @return {string[]}
+     * @private
+     */
+    _parseBreadcrumb( $ ) {
+        if ( !this._profile.breadcrumb ) {
+            return [];
+        }
+
+        return $( this._profile.breadcrumb )
+            .map( ( i, item ) => ( {
+                text: $( item ).text().replace( /\s+/g, ' ' ).trim(),
+                href: $( item ).attr( 'href' ),
+            } ) )
+            .get()
+            .filter( ( { text, href } ) => (
+                text !== '' &&
+                href !== '/' &&
+                !/^(startseite|home)$/i.test( text )
+            ) )
+            .map( ( { text } ) => text );
     }
 }
 
@@ -0,0 +1,318 @@
+const Catalogue = require( './Catalogue' );
+
+/**
+ * ProductQuery
+ * ============
+ * Eine Abfrage an die Produkte eines Laufs: Volltextsuche in Name und
+ * Beschreibung, Filter nach Preis, Kategorie und technischen Details,
+ * Sortierung und Seiten. Der Server liest sie aus den Parametern einer
+ * Anfrage an "/products".
+ */
+class ProductQuery {
+
+    /**
+     * Erstellt eine neue Abfrage.
+     *
+     * @param {Partial<QueryOptions>} options
+     */
+    constructor( options = {} ) {
+        this._options = {
+            search:   '',
+            minPrice: null,
+            maxPrice: null,
+            category: null,
+            details:  [],
+            sort:     null,
+            page:     1,
+            limit:    ProductQuery.DEFAULT_LIMIT,
+            ...options,
+        };
+
+        // Jeder Suchbegriff muss vorkommen, egal in welcher Schreibweise.
+        this._terms = this._options.search
+            .toLowerCase()
+            .split( /\s+/ )
+            .filter( term => term !== '' );
+    }
+
+    /**
+     * Wendet die Abfrage auf die Produkte eines Laufs an.
+     *
+     * @param  {Record<string, any>[]} products
+     * @return {QueryResult}
+     */
+    apply( products ) {
+        const { page, limit } = this._options;
+        const matches         = this._sort( products.filter( product => this._matches( product ) ) );
+
+        return {
+            total:    matches.length,
+            page,
+            limit,
+            pages:    Math.ceil( matches.length / limit ),
+            products: matches.slice( ( page - 1 ) * limit, page * limit ),
+        };
+    }
+
+    /**
+     * @param  {Record<string, any>} product
+     * @return {boolean}
+     * @private
+     */
+    _matches( product ) {
+        const { minPrice, maxPrice, category, details } = this._options;
+
+        if ( this._terms.length > 0 ) {
+            const text = `${ product.productName || '' }\n${ product.description || '' }`.toLowerCase();
+
+            if ( !this._terms.every( term => text.includes( term ) ) ) {
+                return false;
+            }
+        }
+
+        // Ein Produkt ohne Preis fällt bei jedem Preisfilter heraus.
+        if ( minPrice !== null || maxPrice !== null ) {
+            const price = product.pricePerDay;
+
+            if (
+                typeof price !== 'number' ||
+                ( minPrice !== null && price < minPrice ) ||
+                ( maxPrice !== null && price > maxPrice )
+            ) {
+                return false;
+            }
+        }
+
+        // Eine Kategorie umfasst auch alle ihre Unterkategorien.
+        if ( category !== null ) {
+            const wanted      = category.toLowerCase();
+            const subcategory = Catalogue.formatCategoryPath( [ wanted, '' ] );
+
+            const inCategory = ( product.categories || [] ).some( path => {
+                const current = path.toLowerCase();
+
+                return current === wanted || current.startsWith( subcategory );
+            } );
+
+            if ( !inCategory ) {
+                return false;
+            }
+        }
+
+        return details.every( filter => this._matchesDetail( product, filter ) );
+    }
+
+    /**
+     * Prüft einen Filter auf ein technisches Detail. Den Namen des Details
+     * vergleichen wir ohne Rücksicht auf Groß- und Kleinschreibung; Grenzen
+     * gelten für die Zahl, die der Normalizer aus dem Wert gelesen hat.
+     *
+     * @param  {Record<string, any>} product
+     * @param  {DetailFilter}        filter
+     * @return {boolean}
+     * @private
+     */
+    _matchesDetail( { technicalDetails = {}, specifications = {} }, { key, text, min, max } ) {
+        const actualKey = Object.keys( technicalDetails )
+                                .find( existing => existing.toLowerCase() === key.toLowerCase() );
+
+        if ( actualKey === undefined ) {
+            return false;
+        }
+
+        const detailText = String( technicalDetails[ actualKey ] ).toLowerCase();
+
+        if ( text !== undefined && !detailText.includes( text.toLowerCase() ) ) {
+            return false;
+        }
+
+        if ( min === undefined && max === undefined ) {
+            return true;
+        }
+
+        const value = specifications[ actualKey ] ? specifications[ actualKey ].value : null;
+
+        return typeof value === 'number' &&
+               ( min === undefined || value >= min ) &&
+               ( max === undefined || value <= max );
+    }
+
+    /**
+     * Sortiert die Produkte. Produkte ohne Wert im Sortierfeld stehen immer am
+     * Ende, egal in welcher Richtung.
+     *
+     * @param  {Record<string, any>[]} products
+     * @return {Record<string, any>[]}
+     * @private
+     */
+    _sort( products ) {
+        if ( !this._options.sort ) {
+            return products;
+        }
+
+        const descending = this._options.sort.startsWith( '-' );
+        const field      = this._options.sort.replace( /^-/, '' );
+        const isMissing  = value => value === undefined || value === null || value === '';
+
+        return [ ...products ].sort( ( a, b ) => {
+            const [ left, right ] = [ a[ field ], b[ field ] ];
+
+            if ( isMissing( left ) || isMissing( right ) ) {
+                return isMissing( left ) - isMissing( right );
+            }
+
+            const order = typeof left === 'number' && typeof right === 'number'
+                          ? left - right
+                          : String( left ).localeCompare( String( right ), 'de', { numeric: true } );
+
+            return descending ? -order : order;
+        } );
+    }
+
+    /**
+     * Liest eine Abfrage aus den Parametern einer URL:
+     *
+     * - q:                 Suchbegriffe für Name und Beschreibung
+     * - minPrice/maxPrice: Preisspanne für "pricePerDay"
+     * - category:          Kategorie-Pfad, etwa "Maschinen > Bagger"
+     * - detail:            Name eines Details, das vorhanden sein muss
+     * - detail.<Name>:     Text, den das Detail enthalten muss
+     * - detail.<Name>.min,
+     *   detail.<Name>.max: Grenzen für den Zahlenwert des Details
+     * - sort:              Sortierfeld, mit "-" davor absteigend
+     * - page/limit:        Seite und Produkte pro Seite
+     *
+     * @param  {URLSearchParams} params
+     * @return {ProductQuery}
+     * @throws Wenn ein Parameter unbekannt oder ungültig ist.
+     */
+    static fromSearchParams( params ) {
+        const options = {};
+        const details = new Map();
+        const detail  = key => {
+            if ( !details.has( key ) ) {
+                details.set( key, { key } );
+            }
+
+            return details.get( key );
+        };
+
+        for ( const [ name, value ] of params ) {
+            const detailMatch = /^detail\.(.+?)(?:\.(min|max))?$/.exec( name );
+
+            if ( name === 'q' ) {
+                options.search = value;
+            } else if ( name === 'minPrice' || name === 'maxPrice' ) {
+                options[ name ] = ProductQuery._parseNumber( name, value );
+            } else if ( name === 'category' ) {
+                options.category = value.trim();
+            } else if ( name === 'detail' ) {
+                detail( value.trim() );
+            } else if ( detailMatch && detailMatch[ 2 ] ) {
+                detail( detailMatch[ 1 ] )[ detailMatch[ 2 ] ] = ProductQuery._parseNumber( name, value );
+            } else if ( detailMatch ) {
+                detail( detailMatch[ 1 ] ).text = value;
+            } else if ( name === 'sort' ) {
+                if ( !ProductQuery.SORT_FIELDS.includes( value.replace( /^-/, '' ) ) ) {
+                    throw new Error(
+                        `Cannot sort by "${ value }". Available fields: ` +
+                        `${ ProductQuery.SORT_FIELDS.join( ', ' ) }; prefix a field with "-" to sort descending.`,
+                    );
+                }
+
+                options.sort = value;
+            } else if ( name === 'page' || name === 'limit' ) {
+                options[ name ] = ProductQuery._parseCount( name, value );
+            } else {
+                throw new Error(
+                    `Unknown parameter "${ name }". Available parameters: q, minPrice, maxPrice, ` +
+                    'category, detail, detail.<name>, detail.<name>.min, detail.<name>.max, sort, page, limit.',
+                );
+            }
+        }
+
+        if ( options.limit > ProductQuery.MAX_LIMIT ) {
+            throw new Error( `The "limit" parameter must be at most ${ ProductQuery.MAX_LIMIT }, got ${ options.limit }.` );
+        }
+
+        return new ProductQuery( { ...options, details: [ ...details.values() ] } );
+    }
+
+    /**
+     * @param  {string} name
+     * @param  {string} value
+     * @return {number}
+     * @private
+     */
+    static _parseNumber( name, value ) {
+        const number = value.trim() === '' ? NaN : Number( value );
+
+        if ( !Number.isFinite( number ) ) {
+            throw new Error( `The "${ name }" parameter must be a number, got "${ value }".` );
+        }
+
+        return number;
+    }
+
+    /**
+     * @param  {string} name
+     * @param  {string} value
+     * @return {number}
+     * @private
+     */
+    static _parseCount( name, value ) {
+        const count = Number( value );
+
+        if ( !Number.isInteger( count ) || count < 1 ) {
+            throw new Error( `The "${ name }" parameter must be a positive whole number, got "${ value }".` );
+        }
+
+        return count;
+    }
+}
+
+/**
+ * Die Felder, nach denen sich sortieren lässt
+ *
+ * @type {string[]}
+ */
+ProductQuery.SORT_FIELDS = [ 'articleNumber', 'productName', 'pricePerDay' ];
+
+/**
+ * Produkte pro Seite, wenn die Anfrage nichts anderes verlangt, und höchstens
+ *
+ * @type {number}
+ */
+ProductQuery.DEFAULT_LIMIT = 20;
+ProductQuery.MAX_LIMIT     = 100;
+
+/**
+ * @typedef {Object} DetailFilter
+ * @property {string} key    Name des Details
+ * @property {string} [text] Text, den der Wert enthalten muss
+ * @property {number} [min]  Kleinster erlaubter Zahlenwert
+ * @property {number} [max]  Größter erlaubter Zahlenwert
+ */
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {string}         search   Suchbegriffe für Name und Beschreibung
+ * @property {number|null}    minPrice
+ * @property {number|null}    maxPrice
+ * @property {string|null}    category Kategorie-Pfad; Unterkategorien gehören dazu
+ * @property {DetailFilter[]} details
+ * @property {string|null}    sort     Sortierfeld, mit "-" davor absteigend
+ * @property {number}         page     Die Seite, ab 1
+ * @property {number}         limit    Produkte pro Seite
+ */
+
+/**
+ * @typedef {Object} QueryResult
+ * @property {number}                total    Anzahl aller passenden Produkte
+ * @property {number}                page
+ * @property {number}                limit
+ * @property {number}                pages    Anzahl der Seiten
+ * @property {Record<string, any>[]} products Die Produkte dieser Seite
+ */
+
+module.exports = ProductQuery;
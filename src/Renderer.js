@@ -0,0 +1,312 @@
+const cheerio              = require( 'cheerio' );
+const { fork }             = require( 'child_process' );
+const { dirname, resolve } = require( 'path' );
+const Logger               = require( './Logger' );
+
+/**
+ * Renderer
+ * ========
+ * Manche Produktseiten füllen Preise, Variantentabellen oder Bildergalerien
+ * erst mit Skripten. Im HTML, das der Server schickt, fehlen diese Daten, und
+ * cheerio führt keine Skripte aus. Für Seiten, deren URL auf eines der Muster
+ * unter "render.include" passt, lädt der Renderer das HTML deshalb in jsdom,
+ * führt die Skripte aus und gibt dem Parser das gerenderte DOM - über dasselbe
+ * "$" wie sonst auch.
+ * Die Skripte laufen in einem eigenen Prozess und mit einer Zeitbegrenzung:
+ * Hängt ein Skript, beenden wir den Prozess und parsen die Seite ungerendert.
+ * jsdom selbst schützt uns nicht vor den Skripten; der Prozess bekommt deshalb
+ * keine Umgebungsvariablen und darf mit dem Berechtigungsmodell von Node.js
+ * nur seine Module lesen. Ohne Berechtigungsmodell rendern wir gar nicht.
+ * Netzwerkverbindungen kann Node.js dagegen nicht verbieten: Gerendert werden
+ * sollten nur Seiten, deren Skripten wir trauen.
+ */
+class Renderer {
+
+    /**
+     * Erstellt eine neue Renderer-Instanz.
+     *
+     * @param {Record<string, any>} config
+     * @param {Logger|null}         logger
+     */
+    constructor( config, logger = null ) {
+        this._config = {
+            crawler: {},
+            ...config,
+            render:  {
+                include: [],
+                timeout: 10_000,
+                wait:    250,
+                network: 'none',
+                ...config.render,
+            },
+        };
+
+        this._logger  = logger || new Logger( this._config );
+        this._include = this._config.render.include.map( pattern => new RegExp( pattern ) );
+
+        if ( this._include.length > 0 && !Renderer.PERMISSION_FLAG ) {
+            this._logger.warn(
+                'Rendering pages with scripts needs the permission model of Node.js 20 or later, ' +
+                'parsing all pages without scripts',
+            );
+
+            this._include = [];
+        }
+
+        // Der Prozess entsteht erst mit der ersten Seite, die wir rendern. Die
+        // Seiten rendert er nacheinander.
+        this._worker  = null;
+        this._current = null;
+        this._queue   = [];
+    }
+
+    /**
+     * Prüft, ob eine Seite gerendert werden soll. Die Muster werden wie beim
+     * Crawling-Bereich gegen Pfad und Query-String geprüft.
+     *
+     * @param  {string} url
+     * @return {boolean}
+     */
+    matches( url ) {
+        if ( this._include.length === 0 ) {
+            return false;
+        }
+
+        const { pathname, search } = new URL( url );
+
+        return this._include.some( pattern => pattern.test( pathname + search ) );
+    }
+
+    /**
+     * Rendert die Seite einer Antwort, wenn ihre URL auf eines der Muster
+     * passt, und ersetzt "response.$" durch das gerenderte DOM. Scheitert das
+     * Rendern, bleibt die Antwort, wie sie ist.
+     *
+     * @param  {CrawlerRequestResponse} response
+     * @return {Promise<CrawlerRequestResponse>}
+     */
+    async render( response ) {
+        const url = response.options.uri;
+
+        if ( !this.matches( url ) || typeof response.body !== 'string' ) {
+            return response;
+        }
+
+        try {
+            const { html, errors } = await this._renderHtml( url, response.body );
+
+            errors.forEach( error => this._logger.debug(
+                `Script error while rendering "${ url }": ${ error }`,
+                { url },
+            ) );
+
+            response.$ = cheerio.load( html );
+        } catch ( error ) {
+            this._logger.warn(
+                `Could not render "${ url }", parsing it without scripts: ${ error.message }`,
+                { url },
+            );
+        }
+
+        return response;
+    }
+
+    /**
+     * Beendet den Prozess.
+     *
+     * @return {Promise<void>}
+     */
+    async close() {
+        if ( this._worker ) {
+            const worker = this._worker;
+
+            this._worker = null;
+
+            await Renderer._kill( worker );
+        }
+    }
+
+    /**
+     * Schickt eine Seite an den Prozess und wartet auf das Ergebnis.
+     *
+     * @param  {string} url
+     * @param  {string} html
+     * @return {Promise<{ html: string, errors: string[] }>}
+     * @private
+     */
+    _renderHtml( url, html ) {
+        return new Promise( ( resolvePromise, reject ) => {
+            this._queue.push( { url, html, resolve: resolvePromise, reject } );
+            this._next();
+        } );
+    }
+
+    /**
+     * Startet die nächste Seite, sobald der Prozess frei ist. Ist nichts mehr
+     * zu tun, hält der Prozess das Programm nicht am Laufen.
+     *
+     * @private
+     */
+    _next() {
+        if ( this._current ) {
+            return;
+        }
+
+        if ( this._queue.length === 0 ) {
+            if ( this._worker ) {
+                this._worker.unref();
+                this._worker.channel.unref();
+            }
+
+            return;
+        }
+
+        const job    = this._queue.shift();
+        const worker = this._getWorker();
+
+        this._current = job;
+
+        // Läuft ein Skript endlos, hilft nur noch, den Prozess zu beenden.
+        // Die nächste Seite bekommt dann einen neuen - aber erst, wenn der
+        // alte weg ist, damit nie zwei Prozesse gleichzeitig Speicher belegen.
+        job.timer = setTimeout( async () => {
+            this._worker = null;
+
+            await Renderer._kill( worker );
+
+            this._settle( new Error( `Rendering timed out after ${ this._config.render.timeout }ms` ) );
+        }, this._config.render.timeout );
+
+        worker.ref();
+        worker.channel.ref();
+        worker.send( { url: job.url, html: job.html } );
+    }
+
+    /**
+     * Beendet die aktuelle Seite mit ihrem Ergebnis oder einem Fehler.
+     *
+     * @param {Error|null}                         error
+     * @param {{ html: string, errors: string[] }} [result]
+     * @private
+     */
+    _settle( error, result ) {
+        const job = this._current;
+
+        if ( !job ) {
+            return;
+        }
+
+        clearTimeout( job.timer );
+        this._current = null;
+
+        if ( error ) {
+            job.reject( error );
+        } else {
+            job.resolve( result );
+        }
+
+        this._next();
+    }
+
+    /**
+     * Startet den Prozess, der die Seiten rendert. Er erbt weder unsere
+     * Umgebungsvariablen noch unsere Rechte: Lesen darf er nur sein eigenes
+     * Skript und die installierten Module, denn auch die Konfigurationsdatei
+     * kann Zugangsdaten enthalten.
+     *
+     * @return {ChildProcess}
+     * @private
+     */
+    _getWorker() {
+        if ( this._worker ) {
+            return this._worker;
+        }
+
+        const { userAgent } = this._config.crawler;
+        const script        = resolve( __dirname, 'renderWorker.js' );
+        const modules       = dirname( dirname( require.resolve( 'jsdom/package.json' ) ) );
+        const settings      = {
+            network:   this._config.render.network,
+            wait:      this._config.render.wait,
+            userAgent: typeof userAgent === 'string' ? userAgent : null,
+        };
+
+        const worker = fork( script, [ JSON.stringify( settings ) ], {
+            env:      {},
+            execArgv: [
+                Renderer.PERMISSION_FLAG,
+                `--allow-fs-read=${ script }`,
+                `--allow-fs-read=${ modules }`,
+                `--max-old-space-size=${ Renderer.MAX_MEMORY }`,
+                '--no-warnings',
+            ],
+            stdio:    [ 'ignore', 'ignore', 'ignore', 'ipc' ],
+        } );
+
+        // Nachrichten eines beendeten Prozesses kommen zu spät und zählen
+        // nicht mehr.
+        worker.on( 'message', ( { error, ...result } ) => {
+            if ( worker === this._worker ) {
+                this._settle( error ? new Error( error ) : null, result );
+            }
+        } );
+
+        worker.on( 'error', error => {
+            if ( worker === this._worker ) {
+                this._worker = null;
+                this._settle( error );
+            }
+        } );
+
+        // Etwa, wenn der Prozess mehr Speicher braucht als erlaubt
+        worker.on( 'exit', ( code, signal ) => {
+            if ( worker === this._worker ) {
+                this._worker = null;
+                this._settle( new Error( `The render process exited unexpectedly (${ signal || `code ${ code }` })` ) );
+            }
+        } );
+
+        this._worker = worker;
+
+        return worker;
+    }
+
+    /**
+     * Beendet einen Prozess und wartet, bis er weg ist.
+     *
+     * @param  {ChildProcess} worker
+     * @return {Promise<void>}
+     * @private
+     */
+    static _kill( worker ) {
+        if ( worker.exitCode !== null || worker.signalCode !== null ) {
+            return Promise.resolve();
+        }
+
+        // Ein ruhender Prozess hält das Programm nicht am Laufen; solange wir
+        // auf sein Ende warten, muss er das aber.
+        return new Promise( resolvePromise => {
+            worker.once( 'exit', () => resolvePromise() );
+            worker.ref();
+            worker.kill( 'SIGKILL' );
+        } );
+    }
+}
+
+/**
+ * Wie viel Speicher der Prozess höchstens belegen darf, in Megabyte
+ *
+ * @type {number}
+ */
+Renderer.MAX_MEMORY = 256;
+
+/**
+ * Der Schalter für das Berechtigungsmodell von Node.js; vor Node.js 20 gibt es
+ * keinen, dann ist er null.
+ *
+ * @type {string|null}
+ */
+Renderer.PERMISSION_FLAG = [ '--permission', '--experimental-permission' ]
+    .find( flag => process.allowedNodeEnvironmentFlags.has( flag ) ) || null;
+
+module.exports = Renderer;
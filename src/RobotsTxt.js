@@ -0,0 +1,223 @@
+/**
+ * RobotsTxt
+ * =========
+ * Liest die robots.txt der Zielseite und beantwortet, ob wir eine URL abrufen
+ * dürfen. Dabei gelten die Regeln der Gruppe, die am besten zu unserem
+ * User-Agent passt, oder sonst die für alle ("*"). Wie in RFC 9309
+ * beschrieben, gewinnt die längste passende Regel; bei Gleichstand gewinnt
+ * "Allow". Außerdem liefert die robots.txt die gewünschte Pause zwischen zwei
+ * Anfragen ("Crawl-delay") und die Adressen der Sitemaps.
+ */
+class RobotsTxt {
+
+    /**
+     * Erstellt eine neue RobotsTxt-Instanz.
+     *
+     * @param {string}   contents   Der Inhalt der robots.txt
+     * @param {string[]} userAgents Unsere User-Agents
+     */
+    constructor( contents = '', userAgents = [] ) {
+        this._groups   = [];
+        this._sitemaps = [];
+
+        this._parse( contents );
+
+        // Rotieren wir den User-Agent, wissen wir nicht, mit welchem wir eine
+        // URL abrufen. Deshalb gelten die Regeln aller unserer User-Agents.
+        this._rules = ( userAgents.length > 0 ? userAgents : [ '*' ] )
+            .map( userAgent => this._getGroupsFor( userAgent ) );
+    }
+
+    /**
+     * Die Pause zwischen zwei Anfragen in Sekunden, die die robots.txt für
+     * unsere User-Agents verlangt. Ist keine angegeben, erhalten wir null.
+     *
+     * @return {number|null}
+     */
+    get crawlDelay() {
+        const delays = this._rules
+            .flat()
+            .map( ( { crawlDelay } ) => crawlDelay )
+            .filter( delay => delay !== null );
+
+        return delays.length > 0 ? Math.max( ...delays ) : null;
+    }
+
+    /**
+     * Die URLs aller Sitemaps, die in der robots.txt stehen.
+     *
+     * @return {string[]}
+     */
+    get sitemaps() {
+        return [ ...this._sitemaps ];
+    }
+
+    /**
+     * Prüft, ob wir eine URL abrufen dürfen.
+     *
+     * @param  {string} url
+     * @return {boolean}
+     */
+    isAllowed( url ) {
+        const { pathname, search } = new URL( url );
+        const path                 = pathname + search;
+
+        return this._rules.every( groups => this._isAllowedByGroups( groups, path ) );
+    }
+
+    /**
+     * Eine robots.txt, die alles erlaubt. So verhalten wir uns, wenn die Seite
+     * keine robots.txt hat.
+     *
+     * @return {RobotsTxt}
+     */
+    static allowAll() {
+        return new RobotsTxt();
+    }
+
+    /**
+     * Eine robots.txt, die alles verbietet. So verhalten wir uns, wenn der
+     * Server die robots.txt wegen eines Fehlers nicht ausliefern kann: Wir
+     * wissen dann nicht, was erlaubt ist.
+     *
+     * @return {RobotsTxt}
+     */
+    static disallowAll() {
+        return new RobotsTxt( 'User-agent: *\nDisallow: /\n' );
+    }
+
+    /**
+     * Zerlegt die robots.txt in Gruppen. Eine Gruppe beginnt mit einer oder
+     * mehreren "User-agent"-Zeilen, gefolgt von ihren Regeln.
+     *
+     * @param {string} contents
+     * @private
+     */
+    _parse( contents ) {
+        let group        = null;
+        let lastWasAgent = false;
+
+        String( contents ).split( /\r\n|\r|\n/ ).forEach( line => {
+            const match = line.replace( /#.*$/, '' ).match( /^\s*([^:]+?)\s*:\s*(.*?)\s*$/ );
+
+            if ( !match ) {
+                return;
+            }
+
+            const key   = match[ 1 ].toLowerCase();
+            const value = match[ 2 ];
+
+            switch ( key ) {
+                case 'user-agent':
+
+                    // Folgen mehrere "User-agent"-Zeilen aufeinander, gehören
+                    // sie zur selben Gruppe.
+                    if ( !group || !lastWasAgent ) {
+                        group = { agents: [], rules: [], crawlDelay: null };
+                        this._groups.push( group );
+                    }
+
+                    group.agents.push( value.toLowerCase() );
+                    lastWasAgent = true;
+
+                    return;
+
+                case 'allow':
+                case 'disallow':
+
+                    // Ein leeres "Disallow" verbietet nichts.
+                    if ( group && value !== '' ) {
+                        group.rules.push( {
+                            allow:   key === 'allow',
+                            pattern: value,
+                            regex:   this._compilePattern( value ),
+                        } );
+                    }
+
+                    break;
+
+                case 'crawl-delay':
+                    if ( group && !Number.isNaN( parseFloat( value ) ) ) {
+                        group.crawlDelay = parseFloat( value );
+                    }
+
+                    break;
+
+                // Sitemaps gehören zu keiner Gruppe.
+                case 'sitemap':
+                    this._sitemaps.push( value );
+
+                    break;
+
+                default:
+                    break;
+            }
+
+            lastWasAgent = false;
+        } );
+    }
+
+    /**
+     * Sucht die Gruppen, deren Regeln für einen User-Agent gelten: Die mit dem
+     * längsten Namen, der im User-Agent vorkommt, oder sonst die für alle.
+     *
+     * @param  {string} userAgent
+     * @return {RobotsGroup[]}
+     * @private
+     */
+    _getGroupsFor( userAgent ) {
+        const name = userAgent.toLowerCase();
+
+        const token = this._groups
+            .flatMap( ( { agents } ) => agents )
+            .filter( agent => agent !== '*' && name.includes( agent ) )
+            .sort( ( a, b ) => b.length - a.length )[ 0 ] || '*';
+
+        return this._groups.filter( ( { agents } ) => agents.includes( token ) );
+    }
+
+    /**
+     * @param  {RobotsGroup[]} groups
+     * @param  {string}        path
+     * @return {boolean}
+     * @private
+     */
+    _isAllowedByGroups( groups, path ) {
+        const rule = groups
+            .flatMap( ( { rules } ) => rules )
+            .filter( ( { regex } ) => regex.test( path ) )
+            .sort( ( a, b ) => (
+                b.pattern.length - a.pattern.length ||
+                Number( b.allow ) - Number( a.allow )
+            ) )[ 0 ];
+
+        return !rule || rule.allow;
+    }
+
+    /**
+     * Wandelt das Muster einer Regel in einen regulären Ausdruck um. "*"
+     * steht für beliebig viele Zeichen, ein "$" am Ende für das Ende der URL.
+     *
+     * @param  {string} pattern
+     * @return {RegExp}
+     * @private
+     */
+    _compilePattern( pattern ) {
+        const anchored = pattern.endsWith( '$' );
+        const source   = ( anchored ? pattern.slice( 0, -1 ) : pattern )
+            .split( '*' )
+            .map( part => part.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' ) )
+            .join( '.*' );
+
+        return new RegExp( `^${ source }${ anchored ? '$' : '' }` );
+    }
+}
+
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string[]}    agents     Die User-Agents der Gruppe, klein geschrieben
+ * @property {Object[]}    rules      Die "Allow"- und "Disallow"-Regeln
+ * @property {number|null} crawlDelay Die Pause zwischen zwei Anfragen in Sekunden
+ */
+
+module.exports = RobotsTxt;
@@ -0,0 +1,331 @@
+const http         = require( 'http' );
+const History      = require( './History' );
+const Logger       = require( './Logger' );
+const ProductQuery = require( './ProductQuery' );
+
+/**
+ * Server
+ * ======
+ * Ein kleiner HTTP-Server, über den sich die Ergebnisse früherer Läufe
+ * durchsuchen lassen, ohne CSV-Dateien zu öffnen. Er liest die Schnappschüsse
+ * der History im Ausgabepfad und beantwortet nur lesende Anfragen:
+ *
+ * - GET /products                 Produkte suchen, filtern, sortieren und blättern
+ * - GET /products/<articleNumber> Ein einzelnes Produkt
+ * - GET /runs                     Alle Läufe, die zur Auswahl stehen
+ *
+ * Ohne den Parameter "run" antwortet der Server mit dem neuesten Lauf. Neue
+ * Läufe erscheinen, ohne dass der Server neu gestartet werden muss. Zur Auswahl
+ * stehen nur Läufe, die in der History stehen, also vollständige und gesunde.
+ */
+class Server {
+
+    /**
+     * Erstellt eine neue Server-Instanz.
+     *
+     * @param {Record<string, any>} config
+     * @param {Logger|null}         logger
+     */
+    constructor( config, logger = null ) {
+        this._config = {
+            serverHost: '127.0.0.1',
+            serverPort: 3000,
+            ...config,
+        };
+
+        this._logger  = logger || new Logger( this._config );
+        this._history = new History( this._config );
+
+        // Ein gespeicherter Lauf ändert sich nicht mehr, deshalb behalten wir
+        // die zuletzt abgefragten im Speicher. Die Reihenfolge der Map ist die
+        // der letzten Abfrage, der älteste Eintrag fliegt zuerst raus.
+        this._runs = new Map();
+
+        this._server = http.createServer( ( request, response ) => this._handle( request, response ) );
+    }
+
+    /**
+     * Startet den Server.
+     *
+     * @return {Promise<string>} Ein Promise mit der Adresse des Servers.
+     */
+    listen() {
+        return new Promise( ( resolve, reject ) => {
+            this._server.once( 'error', reject );
+            this._server.listen( this._config.serverPort, this._config.serverHost, () => {
+                this._server.removeListener( 'error', reject );
+
+                const { address, port } = this._server.address();
+                const host              = address.includes( ':' ) ? `[${ address }]` : address;
+
+                resolve( `http://${ host }:${ port }/` );
+            } );
+        } );
+    }
+
+    /**
+     * Beendet den Server, auch wenn noch Verbindungen offen sind.
+     *
+     * @return {Promise<void>}
+     */
+    close() {
+        return new Promise( ( resolve, reject ) => {
+            this._server.close( error => ( error ? reject( error ) : resolve() ) );
+            this._server.closeAllConnections();
+        } );
+    }
+
+    /**
+     * Beantwortet eine Anfrage.
+     *
+     * @param  {http.IncomingMessage} request
+     * @param  {http.ServerResponse}  response
+     * @return {Promise<void>}
+     * @private
+     */
+    async _handle( request, response ) {
+        const url = new URL( request.url, 'http://localhost' );
+        let status, body;
+
+        try {
+            if ( request.method !== 'GET' && request.method !== 'HEAD' ) {
+                throw new HttpError( 405, `Method ${ request.method } is not allowed, this API is read-only.` );
+            }
+
+            status = 200;
+            body   = await this._route( url );
+        } catch ( error ) {
+            status = error instanceof HttpError ? error.status : 500;
+            body   = { error: error.message };
+
+            if ( status === 500 ) {
+                this._logger.error(
+                    `Could not answer "${ request.method } ${ request.url }": ${ error.message }`,
+                    { url: request.url },
+                );
+            }
+        }
+
+        this._logger.debug( `${ request.method } ${ request.url } ${ status }`, { url: request.url, status } );
+
+        const contents = JSON.stringify( body, null, 4 ) + '\n';
+
+        response.writeHead( status, {
+            'Content-Type':   'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength( contents ),
+            ...status === 405 ? { 'Allow': 'GET, HEAD' } : {},
+        } );
+        response.end( request.method === 'HEAD' ? undefined : contents );
+    }
+
+    /**
+     * Leitet eine Anfrage an den passenden Endpunkt weiter.
+     *
+     * @param  {URL} url
+     * @return {Promise<Object>} Ein Promise mit dem Inhalt der Antwort.
+     * @throws {HttpError} Wenn es den Endpunkt nicht gibt.
+     * @private
+     */
+    async _route( url ) {
+        const path = url.pathname.replace( /\/+$/, '' );
+
+        if ( path === '/runs' ) {
+            return this._listRuns();
+        }
+
+        if ( path === '/products' ) {
+            return this._listProducts( url.searchParams );
+        }
+
+        const productMatch = /^\/products\/([^/]+)$/.exec( path );
+
+        if ( productMatch ) {
+            let articleNumber;
+
+            try {
+                articleNumber = decodeURIComponent( productMatch[ 1 ] );
+            } catch ( error ) {
+                throw new HttpError( 400, `Invalid article number "${ productMatch[ 1 ] }".` );
+            }
+
+            return this._getProduct( articleNumber, url.searchParams );
+        }
+
+        throw new HttpError(
+            404,
+            `There is no endpoint "${ url.pathname }". Available endpoints: ` +
+            'GET /products, GET /products/<articleNumber>, GET /runs.',
+        );
+    }
+
+    /**
+     * GET /runs: Alle gespeicherten Läufe, der neueste zuerst.
+     *
+     * @return {Promise<{ runs: RunSummary[] }>}
+     * @private
+     */
+    async _listRuns() {
+        const ids  = ( await this._history.list() ).reverse();
+        const runs = [];
+
+        for ( const id of ids ) {
+            runs.push( await this._history.loadSummary( id ) );
+        }
+
+        return { runs };
+    }
+
+    /**
+     * GET /products: Die Produkte eines Laufs, die zur Abfrage passen.
+     *
+     * @param  {URLSearchParams} params
+     * @return {Promise<{ run: string } & QueryResult>}
+     * @private
+     */
+    async _listProducts( params ) {
+        const { run, query }   = this._parseParams( params, true );
+        const { id, products } = await this._selectRun( run );
+
+        return { run: id, ...query.apply( products ) };
+    }
+
+    /**
+     * GET /products/<articleNumber>: Ein einzelnes Produkt eines Laufs.
+     *
+     * @param  {string}          articleNumber
+     * @param  {URLSearchParams} params
+     * @return {Promise<{ run: string, product: Record<string, any> }>}
+     * @private
+     */
+    async _getProduct( articleNumber, params ) {
+        const { run }          = this._parseParams( params, false );
+        const { id, products } = await this._selectRun( run );
+
+        const product = products.find( existing => String( existing.articleNumber ) === articleNumber );
+
+        if ( !product ) {
+            throw new HttpError( 404, `There is no product "${ articleNumber }" in run ${ id }.` );
+        }
+
+        return { run: id, product };
+    }
+
+    /**
+     * Trennt den Parameter "run" von der Abfrage. Nur "/products" kennt
+     * weitere Parameter.
+     *
+     * @param  {URLSearchParams} params
+     * @param  {boolean}         withQuery
+     * @return {{ run: string|null, query: ProductQuery|null }}
+     * @throws {HttpError} Wenn ein Parameter unbekannt oder ungültig ist.
+     * @private
+     */
+    _parseParams( params, withQuery ) {
+        const rest = new URLSearchParams( params );
+        const run  = rest.get( 'run' );
+
+        rest.delete( 'run' );
+
+        if ( !withQuery ) {
+            const [ unknown ] = rest.keys();
+
+            if ( unknown !== undefined ) {
+                throw new HttpError( 400, `Unknown parameter "${ unknown }". Available parameters: run.` );
+            }
+
+            return { run, query: null };
+        }
+
+        try {
+            return { run, query: ProductQuery.fromSearchParams( rest ) };
+        } catch ( error ) {
+            throw new HttpError( 400, error.message );
+        }
+    }
+
+    /**
+     * Lädt den angefragten Lauf, ohne Angabe den neuesten.
+     *
+     * @param  {string|null} id
+     * @return {Promise<Run>}
+     * @throws {HttpError} Wenn es den Lauf nicht gibt.
+     * @private
+     */
+    async _selectRun( id ) {
+        const ids = await this._history.list();
+
+        if ( ids.length === 0 ) {
+            throw new HttpError(
+                404,
+                'There are no recorded runs yet. Only complete and healthy crawls are recorded; stopped, ' +
+                'unhealthy and dry runs are not served. Complete a crawl with this output directory first.',
+            );
+        }
+
+        // Nur IDs aus der History, damit niemand über "run" andere Dateien
+        // lesen kann.
+        if ( id !== null && !ids.includes( id ) ) {
+            throw new HttpError(
+                404,
+                `There is no recorded run "${ id }". Only complete and healthy crawls are recorded; ` +
+                'see GET /runs for all available runs.',
+            );
+        }
+
+        return this._loadRun( id === null ? ids[ ids.length - 1 ] : id );
+    }
+
+    /**
+     * Lädt einen Lauf aus dem Zwischenspeicher oder aus der History. Es
+     * bleiben höchstens Server.MAX_CACHED_RUNS Läufe im Speicher.
+     *
+     * @param  {string} id
+     * @return {Promise<Run>}
+     * @private
+     */
+    async _loadRun( id ) {
+        let run = this._runs.get( id );
+
+        if ( run ) {
+            this._runs.delete( id );
+        } else {
+            run = await this._history.load( id );
+        }
+
+        this._runs.set( id, run );
+
+        while ( this._runs.size > Server.MAX_CACHED_RUNS ) {
+            const [ oldest ] = this._runs.keys();
+
+            this._runs.delete( oldest );
+        }
+
+        return run;
+    }
+}
+
+/**
+ * Wie viele Läufe der Server höchstens im Speicher behält.
+ *
+ * @type {number}
+ */
+Server.MAX_CACHED_RUNS = 3;
+
+/**
+ * Ein Fehler, der als HTTP-Status an den Client geht, etwa 404 für ein
+ * unbekanntes Produkt.
+ */
+class HttpError extends Error {
+
+    /**
+     * @param {number} status
+     * @param {string} message
+     */
+    constructor( status, message ) {
+        super( message );
+
+        this.status = status;
+    }
+}
+
+module.exports = Server;
@@ -0,0 +1,57 @@
+const cheerio        = require( 'cheerio' );
+const { gunzipSync } = require( 'zlib' );
+
+/**
+ * Sitemap
+ * =======
+ * Liest Sitemaps im XML-Format. Eine Sitemap enthält entweder die URLs der
+ * Seite selbst ("urlset") oder verweist als Index auf weitere Sitemaps
+ * ("sitemapindex"). Große Sitemaps werden oft gzip-komprimiert ausgeliefert,
+ * etwa als "sitemap.xml.gz"; die entpacken wir vorher.
+ */
+class Sitemap {
+
+    /**
+     * Liest eine Sitemap aus.
+     *
+     * @param  {Buffer|string} contents
+     * @return {{ sitemaps: string[], urls: string[] }}
+     */
+    parse( contents ) {
+        const xml = this._decompress( contents );
+        const $   = cheerio.load( xml, { xmlMode: true } );
+
+        const locations = selector => $( selector )
+            .map( ( i, element ) => $( element ).text().trim() )
+            .get()
+            .filter( location => location !== '' );
+
+        return {
+            sitemaps: locations( 'sitemapindex > sitemap > loc' ),
+            urls:     locations( 'urlset > url > loc' ),
+        };
+    }
+
+    /**
+     * Entpackt eine gzip-komprimierte Sitemap. Ob sie komprimiert ist, erkennen
+     * wir an den ersten beiden Bytes, nicht an der Dateiendung: Manche Server
+     * entpacken ".gz"-Dateien schon selbst.
+     *
+     * @param  {Buffer|string} contents
+     * @return {string}
+     * @private
+     */
+    _decompress( contents ) {
+        if ( !Buffer.isBuffer( contents ) ) {
+            return String( contents );
+        }
+
+        const isGzipped = contents.length > 2 &&
+                          contents[ 0 ] === 0x1f &&
+                          contents[ 1 ] === 0x8b;
+
+        return ( isGzipped ? gunzipSync( contents ) : contents ).toString( 'utf-8' );
+    }
+}
+
+module.exports = Sitemap;
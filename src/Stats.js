@@ -0,0 +1,243 @@
+/**
+ * Stats
+ * =====
+ * Die Statistik eines Laufs: Wie viele Antworten mit welchem HTTP-Status wir
+ * erhalten haben, wie viele Seiten wir bearbeitet haben und wie lange das
+ * gedauert hat. Daraus entstehen die Fortschrittszeile während des Crawls
+ * und die Zusammenfassung an seinem Ende.
+ */
+class Stats {
+
+    /**
+     * Erstellt eine neue, leere Statistik.
+     *
+     * @param {Date} startedAt
+     */
+    constructor( startedAt = new Date() ) {
+        this._startedAt = startedAt;
+
+        // Setzen wir einen Lauf fort, zählt die Zeit der früheren Sitzungen
+        // mit, nicht aber die Pause dazwischen.
+        this._sessionStartedAt = startedAt;
+        this._previousDuration = 0;
+
+        // Die Antworten nach HTTP-Status. Netzwerkfehler haben keinen Status;
+        // sie zählen wir unter "network".
+        this._statusCounts = {};
+    }
+
+    /**
+     * Übernimmt die Statistik aus einem Checkpoint, damit die Zusammenfassung
+     * nach dem Fortsetzen wieder den ganzen Lauf umfasst.
+     *
+     * @param {SavedStats|null} stats
+     */
+    restore( stats = null ) {
+        if ( !stats ) {
+            return;
+        }
+
+        this._startedAt        = new Date( stats.startedAt );
+        this._previousDuration = stats.durationMs;
+        this._statusCounts     = { ...stats.responsesByStatus };
+    }
+
+    /**
+     * Liefert die Statistik in einer Form, die sich als JSON speichern lässt.
+     *
+     * @return {SavedStats}
+     */
+    toJSON() {
+        return {
+            startedAt:         this._startedAt.toISOString(),
+            durationMs:        this._getDuration(),
+            responsesByStatus: { ...this._statusCounts },
+        };
+    }
+
+    /**
+     * Zählt eine Antwort, auch die eines erneuten Versuchs.
+     *
+     * @param {number|null|undefined} status
+     */
+    recordResponse( status ) {
+        const key = status ? String( status ) : 'network';
+
+        this._statusCounts[ key ] = ( this._statusCounts[ key ] || 0 ) + 1;
+    }
+
+    /**
+     * Erstellt die Angaben für die Fortschrittszeile.
+     *
+     * @param  {{ pages: number, queue: number, products: number, errors: number }} counts
+     * @return {ProgressReport}
+     */
+    getProgress( counts ) {
+        return {
+            ...counts,
+            requestsPerSecond: this._getRequestsPerSecond(),
+        };
+    }
+
+    /**
+     * Fasst den Lauf zusammen.
+     *
+     * @param  {{ pages: number, failures: number, invalid: number, products: Record<string, any>[], proxies: ProxyStats[] }} run
+     * @return {RunStats}
+     */
+    summarize( { pages, failures, invalid = 0, products, proxies = [] } ) {
+        return {
+            startedAt:          this._startedAt.toISOString(),
+            finishedAt:         ( new Date() ).toISOString(),
+            durationMs:         this._getDuration(),
+            pages,
+            failures,
+            products:           products.length,
+            invalidProducts:    invalid,
+            requestsPerSecond:  Math.round( this._getRequestsPerSecond() * 10 ) / 10,
+            responsesByStatus:  { ...this._statusCounts },
+            productsByCategory: this._countByCategory( products ),
+            productsByChange:   this._countByChange( products ),
+            proxies,
+        };
+    }
+
+    /**
+     * Formatiert die Zusammenfassung als lesbaren Text.
+     *
+     * @param  {RunStats} stats
+     * @return {string[]} Die Zeilen der Zusammenfassung.
+     */
+    format( stats ) {
+        return [
+            `Duration: ${ this._formatDuration( stats.durationMs ) } ` +
+            `(${ stats.requestsPerSecond } requests/s)`,
+            `Pages: ${ stats.pages }, failed URLs: ${ stats.failures }, ` +
+            `products: ${ stats.products }, invalid products: ${ stats.invalidProducts }`,
+            'Responses by HTTP status:',
+            ...Object.entries( stats.responsesByStatus )
+                     .map( ( [ status, count ] ) => `  ${ status }: ${ count }` ),
+            'Products by category:',
+            ...Object.entries( stats.productsByCategory )
+                     .map( ( [ category, count ] ) => `  ${ category }: ${ count }` ),
+            ...Object.keys( stats.productsByChange ).length > 0
+               ? [
+                   'Products by change:',
+                   ...Object.entries( stats.productsByChange )
+                            .map( ( [ change, count ] ) => `  ${ change }: ${ count }` ),
+               ]
+               : [],
+            ...stats.proxies.length > 0
+               ? [
+                   'Proxies:',
+                   ...stats.proxies.map( ( { proxy, requests, failures } ) => (
+                       `  ${ proxy }: ${ requests } requests, ${ failures } failed`
+                   ) ),
+               ]
+               : [],
+        ];
+    }
+
+    /**
+     * Zählt die Produkte je Kategorie. Ein Produkt in mehreren Kategorien
+     * zählt in jeder davon; Produkte ohne Kategorie zählen unter "(none)".
+     *
+     * @param  {Record<string, any>[]} products
+     * @return {Record<string, number>} Die Anzahl je Kategorie, nach Kategorie sortiert.
+     * @private
+     */
+    _countByCategory( products ) {
+        const counts = new Map();
+
+        products.forEach( ( { categories = [] } ) => {
+            ( categories.length > 0 ? categories : [ '(none)' ] ).forEach( category => {
+                counts.set( category, ( counts.get( category ) || 0 ) + 1 );
+            } );
+        } );
+
+        return Object.fromEntries(
+            [ ...counts ].sort( ( [ a ], [ b ] ) => a.localeCompare( b ) ),
+        );
+    }
+
+    /**
+     * Zählt die Produkte danach, ob sie seit dem letzten Lauf neu, geändert
+     * oder unverändert sind. Das wissen wir nur bei einem inkrementellen
+     * Crawl; sonst bleibt das Ergebnis leer.
+     *
+     * @param  {Record<string, any>[]} products
+     * @return {Record<string, number>}
+     * @private
+     */
+    _countByChange( products ) {
+        return products
+            .filter( ( { changeStatus } ) => changeStatus )
+            .reduce( ( counts, { changeStatus } ) => ( {
+                ...counts,
+                [ changeStatus ]: ( counts[ changeStatus ] || 0 ) + 1,
+            } ), {} );
+    }
+
+    /**
+     * Der Durchsatz: Antworten pro Sekunde, über alle Sitzungen des Laufs.
+     *
+     * @return {number}
+     * @private
+     */
+    _getRequestsPerSecond() {
+        const seconds   = this._getDuration() / 1000;
+        const responses = Object.values( this._statusCounts )
+                                .reduce( ( sum, count ) => sum + count, 0 );
+
+        return seconds > 0 ? responses / seconds : 0;
+    }
+
+    /**
+     * @return {number} Die Dauer des Laufs in Millisekunden, ohne Pausen zwischen den Sitzungen.
+     * @private
+     */
+    _getDuration() {
+        return this._previousDuration + Date.now() - this._sessionStartedAt.getTime();
+    }
+
+    /**
+     * @param  {number} milliseconds
+     * @return {string} Die Dauer, etwa "1h 02m 03s".
+     * @private
+     */
+    _formatDuration( milliseconds ) {
+        const seconds = Math.round( milliseconds / 1000 );
+        const hours   = Math.floor( seconds / 3600 );
+        const minutes = Math.floor( seconds % 3600 / 60 );
+        const pad     = value => String( value ).padStart( 2, '0' );
+
+        return hours > 0
+               ? `${ hours }h ${ pad( minutes ) }m ${ pad( seconds % 60 ) }s`
+               : `${ minutes }m ${ pad( seconds % 60 ) }s`;
+    }
+}
+
+/**
+ * @typedef {Object} RunStats
+ * @property {string}                 startedAt
+ * @property {string}                 finishedAt
+ * @property {number}                 durationMs         Dauer des Laufs in Millisekunden
+ * @property {number}                 pages              Anzahl der bearbeiteten Seiten
+ * @property {number}                 failures           Anzahl der endgültig fehlgeschlagenen URLs
+ * @property {number}                 products           Anzahl der Produkte
+ * @property {number}                 invalidProducts    Anzahl der ungültigen Produkte in der Quarantäne
+ * @property {number}                 requestsPerSecond  Durchsatz in Antworten pro Sekunde
+ * @property {Record<string, number>} responsesByStatus  Anzahl der Antworten je HTTP-Status
+ * @property {Record<string, number>} productsByCategory Anzahl der Produkte je Kategorie
+ * @property {Record<string, number>} productsByChange   Anzahl der neuen, geänderten und unveränderten Produkte
+ * @property {ProxyStats[]}           proxies            Anfragen und Fehlschläge je Proxy
+ */
+
+/**
+ * @typedef {Object} SavedStats
+ * @property {string}                 startedAt
+ * @property {number}                 durationMs        Dauer aller bisherigen Sitzungen in Millisekunden
+ * @property {Record<string, number>} responsesByStatus
+ */
+
+module.exports = Stats;
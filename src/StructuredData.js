@@ -0,0 +1,504 @@
+const { parseGermanNumber } = require( './numbers' );
+
+/**
+ * StructuredData
+ * ==============
+ * Viele Shops beschreiben ihre Produkte zusätzlich maschinenlesbar nach
+ * schema.org: Entweder als Microdata-Attribute (itemscope, itemprop) direkt im
+ * HTML, oder als JSON-LD in einem eigenen script-Element. Diese Klasse liest
+ * beide Varianten aus und bildet das Product/Offer-Geflecht auf ein einfaches
+ * Objekt ab.
+ */
+class StructuredData {
+
+    /**
+     * Sucht alle Produkte in den strukturierten Daten der Seite.
+     *
+     * @param  {CheerioStatic} $
+     * @return {StructuredProduct[]}
+     */
+    extractProducts( $ ) {
+        const items = [
+            ...this._readMicrodata( $ ),
+            ...this._readJsonLd( $ ),
+        ];
+
+        return this._flatten( items )
+                   .filter( item => this._hasType( item, 'Product' ) )
+                   .map( item => this._mapProduct( item ) );
+    }
+
+    /**
+     * Fasst alle Produkte in den strukturierten Daten der Seite zu einem
+     * zusammen. Viele Shops beschreiben dasselbe Produkt gleichzeitig als
+     * Microdata und als JSON-LD, oft mit unterschiedlich vielen Details.
+     * Gibt es auf der Seite keine Produktdaten, erhalten wir null.
+     *
+     * @param  {CheerioStatic} $
+     * @return {StructuredProduct|null}
+     */
+    extractProduct( $ ) {
+        const products = this.extractProducts( $ );
+
+        if ( products.length === 0 ) {
+            return null;
+        }
+
+        // Einzelne Angaben übernehmen wir aus dem ersten Produkt, das sie
+        // enthält; Listen führen wir zusammen.
+        const first = key => {
+            const value = products
+                .map( product => product[ key ] )
+                .find( candidate => candidate !== null );
+
+            return value === undefined ? null : value;
+        };
+
+        const unique = items => [ ...new Map( items.map( item => [
+            JSON.stringify( item ),
+            item,
+        ] ) ).values() ];
+
+        return {
+            name:        first( 'name' ),
+            description: first( 'description' ),
+            sku:         first( 'sku' ),
+            mpn:         first( 'mpn' ),
+            gtin:        first( 'gtin' ),
+            brand:       first( 'brand' ),
+            images:      unique( products.flatMap( ( { images } ) => images ) ),
+            offers:      unique( products.flatMap( ( { offers } ) => offers ) ),
+            deposit:     first( 'deposit' ),
+        };
+    }
+
+    /**
+     * Liest alle Microdata-Items der obersten Ebene aus und wandelt sie in
+     * dieselbe Form um, die auch JSON-LD hat. So müssen wir die Daten danach
+     * nur noch auf eine Art auswerten.
+     *
+     * @param  {CheerioStatic} $
+     * @return {Record<string, any>[]}
+     * @private
+     */
+    _readMicrodata( $ ) {
+        return $( '[itemscope]' )
+
+            // Items, die selbst Eigenschaft eines anderen Items sind, werden
+            // beim übergeordneten Item mit ausgelesen.
+            .filter( ( i, element ) => $( element ).attr( 'itemprop' ) === undefined )
+            .map( ( i, element ) => this._readMicrodataItem( $, element ) )
+            .get();
+    }
+
+    /**
+     * Liest ein einzelnes Microdata-Item mit all seinen Eigenschaften aus.
+     *
+     * @param  {CheerioStatic}  $
+     * @param  {CheerioElement} element
+     * @return {Record<string, any>}
+     * @private
+     */
+    _readMicrodataItem( $, element ) {
+        const item     = {};
+        const itemType = $( element ).attr( 'itemtype' );
+
+        if ( itemType ) {
+            item[ '@type' ] = itemType.trim().split( /\s+/ );
+        }
+
+        $( '[itemprop]', element )
+
+            // Eine Eigenschaft gehört nur dann zu diesem Item, wenn kein
+            // anderes Item dazwischen liegt.
+            .filter( ( i, property ) => (
+                $( property ).parent().closest( '[itemscope]' ).get( 0 ) === element
+            ) )
+            .each( ( i, property ) => {
+                const value = $( property ).is( '[itemscope]' )
+                              ? this._readMicrodataItem( $, property )
+                              : this._readMicrodataValue( $, property );
+
+                // Ein Element kann mehrere Eigenschaften auf einmal haben,
+                // etwa itemprop="image thumbnailUrl".
+                $( property ).attr( 'itemprop' ).trim().split( /\s+/ ).forEach( name => {
+                    item[ name ] = name in item
+                                   ? [].concat( item[ name ], value )
+                                   : value;
+                } );
+            } );
+
+        return item;
+    }
+
+    /**
+     * Liest den Wert einer Microdata-Eigenschaft aus. Je nach Element steht
+     * er in einem anderen Attribut, so wie es der Microdata-Standard festlegt.
+     *
+     * @param  {CheerioStatic}  $
+     * @param  {CheerioElement} property
+     * @return {string}
+     * @private
+     */
+    _readMicrodataValue( $, property ) {
+        const element = $( property );
+
+        if ( element.attr( 'content' ) !== undefined ) {
+            return element.attr( 'content' );
+        }
+
+        switch ( property.tagName ) {
+            case 'img':
+            case 'audio':
+            case 'video':
+            case 'source':
+            case 'embed':
+            case 'iframe':
+            case 'track':
+                return element.attr( 'src' );
+
+            case 'a':
+            case 'area':
+            case 'link':
+                return element.attr( 'href' );
+
+            case 'object':
+                return element.attr( 'data' );
+
+            case 'data':
+            case 'meter':
+                return element.attr( 'value' );
+
+            case 'time':
+                return element.attr( 'datetime' ) || element.text().trim();
+
+            default:
+                return element.text().trim();
+        }
+    }
+
+    /**
+     * Liest alle JSON-LD-Blöcke der Seite. Blöcke, die sich nicht als JSON
+     * lesen lassen, überspringen wir: Ein Fehler im Markup der Seite soll nicht
+     * den ganzen Crawl aufhalten.
+     *
+     * @param  {CheerioStatic} $
+     * @return {Record<string, any>[]}
+     * @private
+     */
+    _readJsonLd( $ ) {
+        return $( 'script[type="application/ld+json"]' )
+            .map( ( i, script ) => {
+                try {
+                    return [ JSON.parse( $( script ).html() ) ];
+                } catch ( error ) {
+                    return [];
+                }
+            } )
+            .get();
+    }
+
+    /**
+     * Löst Listen und "@graph"-Container auf, sodass wir eine flache Liste
+     * aller Knoten erhalten.
+     *
+     * @param  {any[]} items
+     * @return {Record<string, any>[]}
+     * @private
+     */
+    _flatten( items ) {
+        return items.flatMap( item => {
+            if ( Array.isArray( item ) ) {
+                return this._flatten( item );
+            }
+
+            if ( !item || typeof item !== 'object' ) {
+                return [];
+            }
+
+            if ( item[ '@graph' ] ) {
+                return this._flatten( [].concat( item[ '@graph' ] ) );
+            }
+
+            return [ item ];
+        } );
+    }
+
+    /**
+     * Bildet ein schema.org-Produkt auf unser Ergebnisformat ab.
+     *
+     * @param  {Record<string, any>} item
+     * @return {StructuredProduct}
+     * @private
+     */
+    _mapProduct( item ) {
+        const offers = this._list( item.offers )
+            .flatMap( offer => (
+
+                // Ein AggregateOffer fasst mehrere Angebote zusammen, etwa
+                // verschiedene Mietdauern. Wir interessieren uns für die
+                // einzelnen Angebote darin.
+                this._hasType( offer, 'AggregateOffer' ) && offer.offers
+                ? this._list( offer.offers )
+                : [ offer ]
+            ) );
+
+        // Manche Shops hängen den Preis direkt an das Produkt, anstatt ein
+        // eigenes Angebot anzulegen. Dann behandeln wir das Produkt selbst als
+        // Angebot.
+        if ( offers.length === 0 && item.price !== undefined ) {
+            offers.push( { ...item, name: undefined } );
+        }
+
+        const prices = offers.flatMap( offer => this._mapOffer( offer ) );
+
+        return {
+            name:        this._text( item.name ),
+            description: this._text( item.description ),
+            sku:         this._text( item.sku ),
+            mpn:         this._text( item.mpn ),
+            gtin:        this._text(
+                item.gtin || item.gtin13 || item.gtin8 || item.gtin12 || item.gtin14,
+            ),
+            brand:       this._text( this._name( item.brand ) ),
+            images:      [ ...new Set( this._list( item.image )
+                .map( image => this._url( image ) )
+                .filter( Boolean ) ) ],
+
+            // Die Kaution ist in schema.org kein eigenes Feld. Shops geben sie
+            // meist als zusätzliche Preisangabe an, die wir am Namen erkennen.
+            offers:      prices.filter( offer => !this._isDeposit( offer ) ),
+            deposit:     prices.find( offer => this._isDeposit( offer ) ) || null,
+        };
+    }
+
+    /**
+     * Prüft, ob eine Preisangabe eine Kaution ist.
+     *
+     * @param  {Offer} offer
+     * @return {boolean}
+     * @private
+     */
+    _isDeposit( offer ) {
+        return /kaution|deposit/i.test( offer.name || '' );
+    }
+
+    /**
+     * Bildet ein Angebot auf unser Ergebnisformat ab. Hat das Angebot mehrere
+     * Preisangaben (priceSpecification), etwa für Halbtag, Tag und Woche,
+     * entsteht für jede davon ein eigener Eintrag.
+     *
+     * @param  {Record<string, any>} offer
+     * @return {Offer[]}
+     * @private
+     */
+    _mapOffer( offer ) {
+        const specifications = this._list( offer.priceSpecification );
+        const sources        = specifications.length > 0
+                               ? specifications
+                               : [ offer ];
+
+        return sources.map( source => {
+            const name = this._text( source.name || offer.name );
+            const unit = this._unit( source ) || this._unit( offer );
+
+            return {
+                name,
+                price:         this._number( source.price !== undefined
+                                             ? source.price
+                                             : source.lowPrice ),
+                priceCurrency: this._text( source.priceCurrency || offer.priceCurrency ),
+                unit,
+                availability:  this._availability( offer.availability ),
+                vatIncluded:   this._boolean(
+                    source.valueAddedTaxIncluded !== undefined
+                    ? source.valueAddedTaxIncluded
+                    : offer.valueAddedTaxIncluded,
+                ),
+            };
+        } );
+    }
+
+    /**
+     * Ermittelt, worauf sich ein Preis bezieht, etwa "Tag" oder "Woche".
+     *
+     * @param  {Record<string, any>} source
+     * @return {string|null}
+     * @private
+     */
+    _unit( source ) {
+        const quantity = source.referenceQuantity || source.eligibleDuration;
+
+        const unit = source.unitText ||
+                     ( quantity && ( quantity.unitText || quantity.unitCode ) ) ||
+                     source.unitCode;
+
+        if ( !unit ) {
+            return null;
+        }
+
+        return StructuredData.UNIT_CODES[ this._text( unit ) ] || this._text( unit );
+    }
+
+    /**
+     * Die Verfügbarkeit steht als schema.org-URL in den Daten, etwa
+     * "https://schema.org/InStock". Wir behalten nur den Namen.
+     *
+     * @param  {any} availability
+     * @return {string|null}
+     * @private
+     */
+    _availability( availability ) {
+        const text = this._text( availability );
+
+        return text ? text.replace( /^https?:\/\/schema\.org\//, '' ) : null;
+    }
+
+    /**
+     * Prüft, ob ein Knoten einen bestimmten schema.org-Typ hat. Microdata gibt
+     * Typen als URL an, JSON-LD meist nur als Namen.
+     *
+     * @param  {Record<string, any>} item
+     * @param  {string}              type
+     * @return {boolean}
+     * @private
+     */
+    _hasType( item, type ) {
+        return this._list( item[ '@type' ] )
+                   .some( itemType => String( itemType ).replace( /^.*\//, '' ) === type );
+    }
+
+    /**
+     * Macht aus einem einzelnen Wert oder einer Liste immer eine Liste.
+     *
+     * @param  {any} value
+     * @return {any[]}
+     * @private
+     */
+    _list( value ) {
+        if ( value === undefined || value === null ) {
+            return [];
+        }
+
+        return Array.isArray( value ) ? value : [ value ];
+    }
+
+    /**
+     * Liefert den ersten Wert als Text, oder null.
+     *
+     * @param  {any} value
+     * @return {string|null}
+     * @private
+     */
+    _text( value ) {
+        const [ first ] = this._list( value );
+
+        return first === undefined || typeof first === 'object'
+               ? null
+               : String( first ).trim() || null;
+    }
+
+    /**
+     * Marken und ähnliches können als Text oder als Objekt mit Namen angegeben
+     * sein.
+     *
+     * @param  {any} value
+     * @return {any}
+     * @private
+     */
+    _name( value ) {
+        const [ first ] = this._list( value );
+
+        return first && typeof first === 'object' ? first.name : first;
+    }
+
+    /**
+     * Bilder können als URL oder als ImageObject angegeben sein.
+     *
+     * @param  {any} image
+     * @return {string|null}
+     * @private
+     */
+    _url( image ) {
+        if ( image && typeof image === 'object' ) {
+            return this._text( image.url || image.contentUrl );
+        }
+
+        return this._text( image );
+    }
+
+    /**
+     * Liest einen Preis als Zahl. schema.org schreibt einen Punkt als
+     * Dezimaltrennzeichen vor, viele deutsche Shops verwenden trotzdem ein
+     * Komma.
+     *
+     * @param  {any} value
+     * @return {number|null}
+     * @private
+     */
+    _number( value ) {
+        if ( typeof value === 'number' ) {
+            return value;
+        }
+
+        const text = this._text( value );
+
+        if ( !text ) {
+            return null;
+        }
+
+        return /^-?\d+(\.\d+)?$/.test( text )
+               ? Number( text )
+               : parseGermanNumber( text );
+    }
+
+    /**
+     * @param  {any} value
+     * @return {boolean|null}
+     * @private
+     */
+    _boolean( value ) {
+        if ( value === undefined || value === null ) {
+            return null;
+        }
+
+        return value === true || String( value ).toLowerCase() === 'true';
+    }
+}
+
+/**
+ * Die UN/CEFACT-Codes für Zeiteinheiten, die in Mietpreisen vorkommen.
+ *
+ * @type {Record<string, string>}
+ */
+StructuredData.UNIT_CODES = {
+    HUR: 'hour',
+    DAY: 'day',
+    WEE: 'week',
+    MON: 'month',
+};
+
+/**
+ * @typedef {Object} Offer
+ * @property {string|null}  name          Bezeichnung, etwa "Wochenende"
+ * @property {number|null}  price
+ * @property {string|null}  priceCurrency
+ * @property {string|null}  unit          Worauf sich der Preis bezieht, etwa "day"
+ * @property {string|null}  availability  Etwa "InStock"
+ * @property {boolean|null} vatIncluded
+ */
+
+/**
+ * @typedef {Object} StructuredProduct
+ * @property {string|null} name
+ * @property {string|null} description
+ * @property {string|null} sku
+ * @property {string|null} mpn
+ * @property {string|null} gtin
+ * @property {string|null} brand
+ * @property {string[]}    images
+ * @property {Offer[]}     offers
+ * @property {Offer|null}  deposit
+ */
+
+module.exports = StructuredData;
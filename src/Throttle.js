@@ -0,0 +1,418 @@
+const Logger = require( './Logger' );
+
+/**
+ * Throttle
+ * ========
+ * Der Throttle bestimmt, wann eine Anfrage hinausgehen darf. Für jeden Host
+ * begrenzt er die Zahl gleichzeitiger Verbindungen und hält einen Abstand
+ * zwischen zwei Anfragen ein. Diesen Abstand passt er laufend an: Antwortet
+ * der Server langsam, mit 429 oder 503, verdoppeln wir ihn; läuft alles rund,
+ * verkürzen wir ihn Schritt für Schritt wieder bis zum konfigurierten
+ * Mindestabstand ("crawler.rateLimit"). Verlangt der Server mit "Retry-After"
+ * eine Pause, bekommt er sie für alle Anfragen an diesen Host. In den
+ * Ruhezeiten ("quietHours") crawlen wir langsamer.
+ */
+class Throttle {
+
+    /**
+     * Erstellt eine neue Throttle-Instanz.
+     *
+     * @param {Record<string, any>} config
+     * @param {Logger|null}         logger
+     */
+    constructor( config, logger = null ) {
+        this._config = {
+            crawler:               {},
+            maxConnectionsPerHost: 2,
+            adaptiveThrottle:      true,
+            maxDelay:              30_000,
+            slowResponseTime:      5_000,
+            quietHours:            [],
+            quietHoursDelay:       5_000,
+            ...config,
+        };
+
+        this._logger = logger || new Logger( this._config );
+
+        // Der Mindestabstand zwischen zwei Anfragen an denselben Host. Die
+        // robots.txt kann ihn noch verlängern.
+        this._minDelay = this._config.crawler.rateLimit || 0;
+
+        // Die Ruhezeiten lesen wir gleich hier: Ist eine ungültig, erfahren
+        // wir das vor dem Crawl.
+        const quietHours = Array.isArray( this._config.quietHours )
+                           ? this._config.quietHours
+                           : String( this._config.quietHours ).split( ',' );
+
+        this._quietHours = quietHours
+            .map( window => window.trim() )
+            .filter( window => window !== '' )
+            .map( window => Throttle.parseWindow( window ) );
+
+        this._isQuiet = false;
+
+        // Der Zustand je Host, und wann jede laufende Anfrage hinausging
+        this._hosts     = new Map();
+        this._startedAt = new Map();
+    }
+
+    /**
+     * Verlängert den Mindestabstand, etwa auf das "Crawl-delay" der
+     * robots.txt.
+     *
+     * @param {number} delay Der Abstand in Millisekunden
+     */
+    setMinDelay( delay ) {
+        this._minDelay = delay;
+    }
+
+    /**
+     * Der aktuelle Abstand zwischen zwei Anfragen an einen Host.
+     *
+     * @param  {string} host
+     * @return {number} Der Abstand in Millisekunden
+     */
+    getDelay( host ) {
+        return Math.max( this._getHost( host ).delay, this._getFloor() );
+    }
+
+    /**
+     * Wartet, bis eine Anfrage an die URL hinausgehen darf, und belegt dann
+     * eine Verbindung zu ihrem Host. Werden alle wartenden Anfragen mit
+     * "releaseAll" losgelassen, belegen sie keine Verbindung; das Promise
+     * liefert dann false, und es gibt nichts freizugeben.
+     *
+     * @param  {string} url
+     * @return {Promise<boolean>} Ob die Anfrage eine Verbindung belegt hat.
+     */
+    acquire( url ) {
+        const host  = Throttle.getHost( url );
+        const state = this._getHost( host );
+
+        return new Promise( resolve => {
+            state.waiting.push( acquired => {
+                if ( acquired ) {
+                    this._startedAt.set( url, Date.now() );
+                }
+
+                resolve( acquired );
+            } );
+
+            this._next( host );
+        } );
+    }
+
+    /**
+     * Gibt die Verbindung einer Anfrage wieder frei. Mit ihrem Ergebnis passen
+     * wir den Abstand für ihren Host an; ohne Ergebnis, etwa wenn die Anfrage
+     * gar nicht hinausging, bleibt er, wie er ist.
+     *
+     * @param {string}              url
+     * @param {RequestOutcome|null} outcome
+     */
+    release( url, outcome = null ) {
+        const startedAt = this._startedAt.get( url );
+
+        if ( startedAt === undefined ) {
+            return;
+        }
+
+        const host  = Throttle.getHost( url );
+        const state = this._getHost( host );
+
+        this._startedAt.delete( url );
+        state.active--;
+
+        if ( outcome ) {
+            this._adapt( host, state, outcome, Date.now() - startedAt );
+        }
+
+        this._next( host );
+    }
+
+    /**
+     * Lässt alle wartenden Anfragen sofort los, ohne dass sie eine Verbindung
+     * belegen, etwa wenn der Crawl beendet wird.
+     */
+    releaseAll() {
+        this._hosts.forEach( state => {
+            clearTimeout( state.timer );
+            state.timer = null;
+
+            state.waiting.splice( 0 ).forEach( start => start( false ) );
+        } );
+    }
+
+    /**
+     * Passt den Abstand für einen Host an das Ergebnis einer Anfrage an.
+     *
+     * @param {string}         host
+     * @param {HostState}      state
+     * @param {RequestOutcome} outcome
+     * @param {number}         duration Die Antwortzeit in Millisekunden
+     * @private
+     */
+    _adapt( host, state, { status, retryAfter = 0 }, duration ) {
+
+        // Die Antwortzeit glätten wir, damit ein einzelner Ausreißer den
+        // Crawl nicht gleich ausbremst.
+        state.responseTime = state.responseTime === null
+                             ? duration
+                             : state.responseTime * 0.7 + duration * 0.3;
+
+        if ( retryAfter > 0 ) {
+            state.blockedUntil = Math.max( state.blockedUntil, Date.now() + retryAfter );
+
+            this._logger.warn(
+                `Host "${ host }" asked us to wait ${ retryAfter }ms (Retry-After), pausing requests`,
+                { host, retryAfter },
+            );
+        }
+
+        if ( !this._config.adaptiveThrottle ) {
+            return;
+        }
+
+        if ( status === null ) {
+            this._slowDown( host, state, 'network error' );
+        } else if ( Throttle.BACKOFF_STATUS_CODES.includes( status ) ) {
+            this._slowDown( host, state, `HTTP ${ status }` );
+        } else if ( state.responseTime > this._config.slowResponseTime ) {
+            this._slowDown( host, state, `slow responses (${ Math.round( state.responseTime ) }ms)` );
+        } else if ( status < 400 ) {
+            this._speedUp( host, state );
+        }
+    }
+
+    /**
+     * Verdoppelt den Abstand für einen Host, bis höchstens "maxDelay".
+     *
+     * @param {string}    host
+     * @param {HostState} state
+     * @param {string}    reason
+     * @private
+     */
+    _slowDown( host, state, reason ) {
+        const delay = Math.min(
+            Math.max( this.getDelay( host ) * 2, Throttle.MIN_BACKOFF_DELAY ),
+            this._config.maxDelay,
+        );
+
+        if ( delay === state.delay ) {
+            return;
+        }
+
+        state.delay = delay;
+
+        this._logger.warn(
+            `Backing off from "${ host }" because of ${ reason }: ${ delay }ms between requests`,
+            { host, delay, reason },
+        );
+    }
+
+    /**
+     * Verkürzt den Abstand für einen Host nach einer gesunden Antwort um ein
+     * Zehntel, bis er wieder nahe am Mindestabstand ist. Den letzten Rest
+     * lassen wir weg, sonst würde er sich endlos hinziehen.
+     *
+     * @param {string}    host
+     * @param {HostState} state
+     * @private
+     */
+    _speedUp( host, state ) {
+        const floor = this._getFloor();
+
+        if ( state.delay <= floor ) {
+            return;
+        }
+
+        state.delay = Math.floor( state.delay * 0.9 );
+
+        if ( state.delay > floor + Throttle.MIN_BACKOFF_DELAY / 2 ) {
+            this._logger.debug(
+                `Speeding up on "${ host }": ${ state.delay }ms between requests`,
+                { host, delay: state.delay },
+            );
+
+            return;
+        }
+
+        state.delay = 0;
+
+        this._logger.info(
+            `Host "${ host }" is healthy again: ${ floor }ms between requests`,
+            { host, delay: floor },
+        );
+    }
+
+    /**
+     * Lässt die nächste wartende Anfrage an einen Host los, sobald eine
+     * Verbindung frei und der Abstand zur letzten Anfrage eingehalten ist.
+     *
+     * @param {string} host
+     * @private
+     */
+    _next( host ) {
+        const state = this._getHost( host );
+
+        while (
+            state.timer === null &&
+            state.waiting.length > 0 &&
+            state.active < this._config.maxConnectionsPerHost
+        ) {
+            const wait = Math.max( state.nextStart, state.blockedUntil ) - Date.now();
+
+            if ( wait > 0 ) {
+                state.timer = setTimeout( () => {
+                    state.timer = null;
+
+                    this._next( host );
+                }, wait );
+
+                return;
+            }
+
+            state.active++;
+            state.nextStart = Date.now() + this.getDelay( host );
+
+            state.waiting.shift()( true );
+        }
+    }
+
+    /**
+     * Der Abstand, unter den wir nie gehen: der Mindestabstand, und in den
+     * Ruhezeiten der Abstand für die Ruhezeiten.
+     *
+     * @return {number}
+     * @private
+     */
+    _getFloor() {
+        const isQuiet = this._isQuietHours( new Date() );
+
+        if ( isQuiet !== this._isQuiet ) {
+            this._isQuiet = isQuiet;
+
+            this._logger.info( isQuiet
+                               ? `Entering quiet hours: at least ${ this._config.quietHoursDelay }ms between requests`
+                               : 'Leaving quiet hours' );
+        }
+
+        return isQuiet
+               ? Math.max( this._minDelay, this._config.quietHoursDelay )
+               : this._minDelay;
+    }
+
+    /**
+     * @param  {Date} date
+     * @return {boolean}
+     * @private
+     */
+    _isQuietHours( date ) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        return this._quietHours.some( ( { start, end } ) => (
+            start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end
+        ) );
+    }
+
+    /**
+     * @param  {string} host
+     * @return {HostState}
+     * @private
+     */
+    _getHost( host ) {
+        if ( !this._hosts.has( host ) ) {
+            this._hosts.set( host, {
+                delay:        0,
+                active:       0,
+                nextStart:    0,
+                blockedUntil: 0,
+                responseTime: null,
+                waiting:      [],
+                timer:        null,
+            } );
+        }
+
+        return this._hosts.get( host );
+    }
+
+    /**
+     * Liefert den Host einer URL, mit Port.
+     *
+     * @param  {string} url
+     * @return {string}
+     */
+    static getHost( url ) {
+        try {
+            return new URL( url ).host;
+        } catch ( error ) {
+            return '';
+        }
+    }
+
+    /**
+     * Liest ein Zeitfenster wie "22:00-06:00". Ein Fenster, dessen Ende vor
+     * seinem Anfang liegt, geht über Mitternacht. Als Stunde ist 24 nur in
+     * "24:00" erlaubt.
+     *
+     * @param  {string} window
+     * @return {{ start: number, end: number }} Anfang und Ende in Minuten seit Mitternacht
+     */
+    static parseWindow( window ) {
+        const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec( window );
+        const hours = match ? [ Number( match[ 1 ] ), Number( match[ 3 ] ) ] : [];
+        const mins  = match ? [ Number( match[ 2 ] ), Number( match[ 4 ] ) ] : [];
+
+        // "24:00" steht für Mitternacht am Ende des Tages; später als das
+        // gibt es keine Uhrzeit.
+        const isValid = ( hour, index ) => hour < 24 || ( hour === 24 && mins[ index ] === 0 );
+
+        if ( !match || !hours.every( isValid ) || mins.some( minute => minute > 59 ) ) {
+            throw new Error(
+                `Invalid quiet hours "${ window }": Use the format "HH:MM-HH:MM", ` +
+                'e.g. "22:00-06:00".',
+            );
+        }
+
+        return {
+            start: hours[ 0 ] * 60 + mins[ 0 ],
+            end:   hours[ 1 ] * 60 + mins[ 1 ],
+        };
+    }
+}
+
+/**
+ * Mit diesen Status-Codes sagt uns ein Server, dass wir ihn überlasten.
+ *
+ * @type {number[]}
+ */
+Throttle.BACKOFF_STATUS_CODES = [ 429, 503 ];
+
+/**
+ * Der kleinste Abstand nach dem ersten Zurückweichen, in Millisekunden. Ohne
+ * ihn bliebe ein Abstand von 0 auch verdoppelt 0.
+ *
+ * @type {number}
+ */
+Throttle.MIN_BACKOFF_DELAY = 250;
+
+/**
+ * @typedef {Object} RequestOutcome
+ * @property {number|null} status     Der HTTP-Status; null bei einem Netzwerkfehler
+ * @property {number}      retryAfter Die verlangte Pause aus "Retry-After" in Millisekunden
+ */
+
+/**
+ * @typedef {Object} HostState
+ * @property {number}                 delay        Der angepasste Abstand; 0, solange der Mindestabstand gilt
+ * @property {number}                 active       Anzahl der laufenden Anfragen
+ * @property {number}                 nextStart    Frühester Zeitpunkt der nächsten Anfrage
+ * @property {number}                 blockedUntil Bis wann der Server eine Pause verlangt hat
+ * @property {number|null}            responseTime Die geglättete Antwortzeit in Millisekunden
+ * @property {Array<function(): void>} waiting      Die wartenden Anfragen
+ * @property {Timeout|null}           timer
+ */
+
+module.exports = Throttle;
@@ -0,0 +1,260 @@
+const { resolveProfile } = require( './profiles' );
+
+/**
+ * Validator
+ * =========
+ * Der Validator prüft jedes Produkt gegen das Schema seines Profils, bevor es
+ * in den Katalog kommt. Ändert die Zielseite ihr Markup, findet ein Selektor
+ * oft nichts mehr: Dann fehlt der Name, der Preis ist keine Zahl oder die
+ * technischen Details sind leer. Solche Produkte schreiben wir nicht in die
+ * Ausgabe, sondern in eine Quarantäne-Datei, zusammen mit ihrer URL und den
+ * verletzten Regeln. Ist ein zu großer Anteil der Produkte ungültig, gilt der
+ * Lauf als nicht gesund - ein Zeichen für einen kaputten Selektor.
+ */
+class Validator {
+
+    /**
+     * Erstellt eine neue Validator-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            maxInvalidRate: 0.1,
+            ...config,
+        };
+
+        // Das Schema prüfen wir gleich hier: Eine unbekannte Regel ist
+        // meistens ein Tippfehler, und der soll vor dem Crawl auffallen.
+        const profileName = this._config.profile || 'verleihnix';
+
+        this._schema = resolveProfile( this._config ).schema || {};
+
+        Object.entries( this._schema ).forEach( ( [ field, rules ] ) => {
+            const unknownRule = Object.keys( rules ).find( rule => !Validator.RULES.includes( rule ) );
+
+            if ( unknownRule ) {
+                throw new Error(
+                    `Invalid profile "${ profileName }": Field "${ field }" in the ` +
+                    `"schema" uses the unknown rule "${ unknownRule }". Available ` +
+                    `rules: ${ Validator.RULES.join( ', ' ) }.`,
+                );
+            }
+        } );
+
+        // Alle ungültigen Produkte, nach URL
+        this._quarantine = new Map();
+    }
+
+    /**
+     * Anzahl der ungültigen Produkte.
+     *
+     * @return {number}
+     */
+    get size() {
+        return this._quarantine.size;
+    }
+
+    /**
+     * Der Anteil ungültiger Produkte, ab dem der Lauf als nicht gesund gilt.
+     *
+     * @return {number}
+     */
+    get maxInvalidRate() {
+        return this._config.maxInvalidRate;
+    }
+
+    /**
+     * Prüft ein Produkt gegen das Schema. Ist es gültig, erhalten wir eine
+     * leere Liste.
+     *
+     * @param  {Record<string, any>} product
+     * @return {Violation[]} Alle verletzten Regeln
+     */
+    validate( product ) {
+        return Object.entries( this._schema ).flatMap(
+            ( [ field, rules ] ) => this._validateField( field, product[ field ], rules ),
+        );
+    }
+
+    /**
+     * Nimmt ein ungültiges Produkt in die Quarantäne.
+     *
+     * @param {string}              url        Die URL der Seite, auf der es steht
+     * @param {Record<string, any>} product
+     * @param {Violation[]}         violations
+     */
+    quarantine( url, product, violations ) {
+        this._quarantine.set( url, {
+            url,
+            violations,
+            product,
+            quarantinedAt: ( new Date() ).toISOString(),
+        } );
+    }
+
+    /**
+     * Berechnet den Anteil der ungültigen an allen Produkten.
+     *
+     * @param  {number} valid Anzahl der gültigen Produkte
+     * @return {number}
+     */
+    getInvalidRate( valid ) {
+        const total = valid + this.size;
+
+        return total > 0 ? this.size / total : 0;
+    }
+
+    /**
+     * Prüft, ob so viele Produkte ungültig sind, dass der Lauf als nicht
+     * gesund gilt.
+     *
+     * @param  {number} valid Anzahl der gültigen Produkte
+     * @return {boolean}
+     */
+    exceedsThreshold( valid ) {
+        return this.getInvalidRate( valid ) > this._config.maxInvalidRate;
+    }
+
+    /**
+     * Stellt die Quarantäne wieder her, etwa aus einem Checkpoint.
+     *
+     * @param {QuarantineRecord[]} records
+     */
+    restore( records = [] ) {
+        this._quarantine = new Map( records.map( record => [ record.url, record ] ) );
+    }
+
+    /**
+     * Liefert die Quarantäne in einer Form, die sich als JSON speichern lässt.
+     *
+     * @return {QuarantineRecord[]}
+     */
+    toJSON() {
+        return [ ...this._quarantine.values() ];
+    }
+
+    /**
+     * Prüft einen Wert gegen die Regeln seines Felds. Fehlt ein Wert, der
+     * nicht verlangt ist, prüfen wir den Rest gar nicht erst; ebenso bei
+     * einem falschen Typ.
+     *
+     * @param  {string}     field
+     * @param  {any}        value
+     * @param  {FieldRules} rules
+     * @return {Violation[]}
+     * @private
+     */
+    _validateField( field, value, rules ) {
+        const violation = ( rule, message ) => ( {
+            field,
+            rule,
+            message: `"${ field }" ${ message }`,
+        } );
+
+        if ( value === undefined || value === null || value === '' ) {
+            return rules.required ? [ violation( 'required', 'is missing' ) ] : [];
+        }
+
+        if ( rules.type && !Validator.hasType( value, rules.type ) ) {
+            return [ violation( 'type', `must be of type ${ rules.type }, got ${ JSON.stringify( value ) }` ) ];
+        }
+
+        const violations = [];
+        const got        = JSON.stringify( value );
+
+        // Bei Texten und Listen zählt die Länge, bei Objekten die Zahl der
+        // Einträge.
+        const length = typeof value === 'string' || Array.isArray( value )
+                       ? value.length
+                       : Object.keys( value ).length;
+
+        if ( rules.minLength !== undefined && length < rules.minLength ) {
+            violations.push( violation( 'minLength', `must have a length of at least ${ rules.minLength }, got ${ length }` ) );
+        }
+
+        if ( rules.min !== undefined && value < rules.min ) {
+            violations.push( violation( 'min', `must be at least ${ rules.min }, got ${ got }` ) );
+        }
+
+        if ( rules.max !== undefined && value > rules.max ) {
+            violations.push( violation( 'max', `must be at most ${ rules.max }, got ${ got }` ) );
+        }
+
+        if ( rules.pattern !== undefined && !new RegExp( rules.pattern ).test( String( value ) ) ) {
+            violations.push( violation( 'pattern', `must match /${ rules.pattern }/, got ${ got }` ) );
+        }
+
+        if ( rules.enum !== undefined && !rules.enum.includes( value ) ) {
+            violations.push( violation(
+                'enum',
+                `must be one of ${ rules.enum.map( option => JSON.stringify( option ) ).join( ', ' ) }, got ${ got }`,
+            ) );
+        }
+
+        return violations;
+    }
+
+    /**
+     * Prüft den Typ eines Werts. Eine Zahl muss endlich sein: NaN ist kein
+     * Preis.
+     *
+     * @param  {any}    value
+     * @param  {string} type
+     * @return {boolean}
+     */
+    static hasType( value, type ) {
+        switch ( type ) {
+            case 'number':
+                return typeof value === 'number' && Number.isFinite( value );
+
+            case 'integer':
+                return Number.isInteger( value );
+
+            case 'array':
+                return Array.isArray( value );
+
+            case 'object':
+                return typeof value === 'object' && value !== null && !Array.isArray( value );
+
+            default:
+                return typeof value === type;
+        }
+    }
+}
+
+/**
+ * Die Regeln, die ein Feld im Schema haben kann
+ *
+ * @type {string[]}
+ */
+Validator.RULES = [ 'required', 'type', 'minLength', 'min', 'max', 'pattern', 'enum' ];
+
+/**
+ * @typedef {Object} FieldRules
+ * @property {boolean}  [required]  Ob das Feld einen Wert haben muss; ein leerer Text zählt nicht
+ * @property {string}   [type]      "string", "number", "integer", "boolean", "array" oder "object"
+ * @property {number}   [minLength] Mindestlänge eines Texts, Mindestzahl der Einträge einer Liste
+ *                                  oder eines Objekts
+ * @property {number}   [min]       Kleinster erlaubter Wert
+ * @property {number}   [max]       Größter erlaubter Wert
+ * @property {string}   [pattern]   Regulärer Ausdruck, auf den der Wert passen muss
+ * @property {any[]}    [enum]      Erlaubte Werte
+ */
+
+/**
+ * @typedef {Object} Violation
+ * @property {string} field   Das Feld, das die Regel verletzt
+ * @property {string} rule    Die verletzte Regel, etwa "required"
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} QuarantineRecord
+ * @property {string}              url           Die URL der Seite
+ * @property {Violation[]}         violations    Die verletzten Regeln
+ * @property {Record<string, any>} product       Das ungültige Produkt
+ * @property {string}              quarantinedAt
+ */
+
+module.exports = Validator;
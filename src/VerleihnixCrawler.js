@@ -1,9 +1,45 @@
-const net     = require( 'net' );
-const Crawler = require( 'crawler' );
-const Parser  = require( './Parser' );
-const Writer  = require( './Writer' );
+const { EventEmitter } = require( 'events' );
+const Crawler          = require( 'crawler' );
+const AssetStore       = require( './AssetStore' );
+const Catalogue        = require( './Catalogue' );
+const Checkpoint       = require( './Checkpoint' );
+const Differ           = require( './Differ' );
+const Failures         = require( './Failures' );
+const Frontier         = require( './Frontier' );
+const History          = require( './History' );
+const HttpCache        = require( './HttpCache' );
+const Logger           = require( './Logger' );
+const Normalizer       = require( './Normalizer' );
+const PageIndex        = require( './PageIndex' );
+const Parser           = require( './Parser' );
+const ProxyPool        = require( './ProxyPool' );
+const Renderer         = require( './Renderer' );
+const RobotsTxt        = require( './RobotsTxt' );
+const Sitemap          = require( './Sitemap' );
+const Stats            = require( './Stats' );
+const Throttle         = require( './Throttle' );
+const Validator        = require( './Validator' );
+const Writer           = require( './Writer' );
 
-class VerleihnixCrawler {
+/**
+ * VerleihnixCrawler
+ * =================
+ * Der Crawler meldet seinen Fortschritt über Events. So lässt er sich auch als
+ * Library einbetten; die Ausgabedateien schreibt der Writer, der selbst nur
+ * einer der Empfänger ist:
+ *
+ * - "page":    Eine Seite ist bearbeitet ({@link PageEvent}).
+ * - "product": Ein Produkt ist in den Katalog aufgenommen (Produkt, Seiten-URL).
+ * - "skipped": Eine URL wird nicht abgerufen ({@link SkippedEvent}).
+ * - "invalid": Ein Produkt verletzt das Schema und kommt in die Quarantäne
+ *              ({@link InvalidEvent}).
+ * - "error":   Eine URL ist endgültig fehlgeschlagen ({@link ErrorEvent}).
+ *              Anders als sonst bei Node.js bricht ein "error"-Event ohne
+ *              Empfänger nichts ab; der Crawl läuft weiter.
+ * - "done":    Der Crawl ist vorbei ({@link DoneEvent}). Gibt ein Empfänger
+ *              ein Promise zurück, wartet der Crawler darauf.
+ */
+class VerleihnixCrawler extends EventEmitter {
 
     /**
      * Hier initiieren wir den Crawler und setzen die Konfiguration als lokale
@@ -12,97 +48,1333 @@ class VerleihnixCrawler {
      * @param {Record<string, any>} config
      * @param {Parser|null}         parser
      * @param {Writer|null}         writer
+     * @param {Checkpoint|null}     checkpoint
+     * @param {Frontier|null}       frontier
+     * @param {Logger|null}         logger
      */
     constructor(
         config,
-        parser = null,
-        writer = null,
+        parser     = null,
+        writer     = null,
+        checkpoint = null,
+        frontier   = null,
+        logger     = null,
     ) {
+        super();
 
         // Wir mergen die Konfiguration mit unseren Standardwerten. Dadurch muss
         // nicht jede Option in der Konfigurationsdatei angegeben werden, wenn
         // sie wahrscheinlich sowieso nicht geändert werden muss.
         this._config = {
-            connectionTimeout: 10_000,
-            targetScheme:      'https',
-            startUrl:          '/',
-            crawlerOptions:    {},
+            connectionTimeout:  10_000,
+            targetScheme:       'https',
+            startUrl:           '/',
+            crawler:            {},
+            resume:             false,
+            diff:               false,
+            checkpointInterval: 25,
+            downloadImages:     false,
+            robotsTxt:          true,
+            sitemaps:           false,
+            maxSitemaps:        100,
+            maxPages:           null,
+            maxProducts:        null,
+            dryRun:             false,
+            incremental:        false,
             ...config,
         };
 
         // Wir übernehmen die Instanzen die übergeben wurden, oder erstellen
-        // neue mit unserer Konfiguration.
-        this._parser = parser || new Parser( this._config );
-        this._writer = writer || new Writer( this._config );
+        // neue mit unserer Konfiguration. Den Logger teilen sich alle
+        // Komponenten.
+        this._logger     = logger || new Logger( this._config );
+        this._parser     = parser || new Parser( this._config, this._logger );
+        this._writer     = writer || new Writer( this._config, this._logger );
+        this._checkpoint = checkpoint || new Checkpoint( this._config );
+
+        // Die Frontier merkt sich, welche URLs noch ausstehen und welche schon
+        // bearbeitet wurden. Zusammen mit der Anzahl der bisherigen Anfragen
+        // landet das alles regelmäßig im Checkpoint.
+        this._frontier = frontier || new Frontier( this._config );
+        this._counter  = 0;
+
+        // Schlägt eine einzelne URL fehl, brechen wir nicht den ganzen Crawl
+        // ab: Vorübergehende Fehler versuchen wir später erneut, alle anderen
+        // landen in einer Fehlerdatei. Wie viele erneute Versuche gerade auf
+        // ihren Termin warten, müssen wir wissen, um das Ende zu erkennen.
+        this._failures         = new Failures( this._config );
+        this._scheduledRetries = 0;
+
+        // Der Throttle entscheidet, wann eine Anfrage hinausgeht: Er passt das
+        // Tempo für jeden Host daran an, wie gut der Server mithält.
+        this._throttle = new Throttle( this._config, this._logger );
+
+        // Über welchen Proxy eine Anfrage hinausgeht, entscheidet der
+        // ProxyPool. Er merkt sich auch, welche Proxys gerade ausfallen.
+        this._proxies = new ProxyPool( this._config, this._logger );
+
+        // Die Statistik zählt die Antworten nach HTTP-Status. Sie speist die
+        // Fortschrittszeile und die Zusammenfassung am Ende des Laufs.
+        this._stats = new Stats();
+
+        // Im Katalog sammeln wir alle Produkte, bis der Crawl beendet ist. Erst
+        // dann kennen wir alle Kategorien, in denen ein Produkt auftaucht.
+        this._catalogue = new Catalogue();
+
+        // Jedes Produkt muss das Schema seines Profils erfüllen, bevor es in
+        // den Katalog kommt. Ungültige Produkte landen in der Quarantäne.
+        this._validator = new Validator( this._config );
+
+        // Nach jedem Lauf bewahren wir einen Schnappschuss aller Produkte auf,
+        // mit dem wir den nächsten Lauf vergleichen können.
+        this._history = new History( this._config );
+        this._differ  = new Differ();
+
+        // Im inkrementellen Modus merken wir uns für jede Seite, was wir beim
+        // letzten Lauf über sie wussten, und fragen sie bedingt an.
+        this._pageIndex = new PageIndex( this._config );
+
+        // Der Normalizer bereitet die Ergebnisse des Parsers für die Ausgabe
+        // auf: Er liest Zahlen und Einheiten und räumt die Texte auf.
+        this._normalizer = new Normalizer( this._config );
+
+        // Seiten, die ihre Daten erst mit Skripten einfügen, rendert der
+        // Renderer, bevor sie zum Parser gehen.
+        this._renderer = new Renderer( this._config, this._logger );
+
+        // Auf Wunsch laden wir die Produktbilder herunter. Der AssetStore legt
+        // sie im Ausgabepfad ab; welche gerade in der Warteschlange liegen,
+        // merken wir uns, damit kein Bild doppelt angefragt wird.
+        this._assets        = new AssetStore( this._config );
+        this._pendingAssets = new Set();
+
+        // Die Regeln aus der robots.txt der Zielseite. Bis wir sie geladen
+        // haben, ist alles erlaubt. URLs, die sie uns verbietet, merken wir
+        // uns, um sie nur einmal zu protokollieren.
+        this._robots     = RobotsTxt.allowAll();
+        this._disallowed = new Set();
+        this._sitemap    = new Sitemap();
+
+        // Auf Wunsch zeichnen wir alle Antworten auf, oder spielen sie aus
+        // einem früheren Lauf ab, statt die Zielseite zu fragen.
+        this._cache = new HttpCache( this._config );
+
+        // Von außen lässt sich ein laufender Crawl anhalten und beenden. Solange
+        // er angehalten ist, warten alle Anfragen auf dieses Promise.
+        this._running     = null;
+        this._pause       = null;
+        this._stopped     = false;
+        this._retryTimers = new Set();
+
+        // Prüft, ob der Crawl vorbei ist. Das geht erst, wenn der Crawler
+        // läuft.
+        this._checkFinished = null;
+
+        // Der Writer ist ein Empfänger wie jeder andere: Ist der Crawl vorbei,
+        // schreibt er die Produkte in die Ausgabedateien.
+        if ( !this._config.dryRun ) {
+            this._writer.attach( this );
+        }
+    }
+
+    /**
+     * Die start-Methode startet den Crawler. Sie prüft alle
+     * Ausgangsbedingungen und crawlt anschließend die Zielseite. Ein zweiter
+     * Aufruf startet keinen zweiten Crawl, sondern liefert denselben.
+     *
+     * @return {Promise<CrawlResult>}
+     */
+    start() {
+        if ( !this._running ) {
+            this._running = this._run();
+        }
+
+        return this._running;
+    }
+
+    /**
+     * Liefert alle Produkte, sobald sie gefunden werden, als asynchronen
+     * Iterator. Läuft der Crawl noch nicht, startet er damit. Kommt die
+     * Schleife nicht hinterher, halten wir den Crawl an, bis sie den Puffer
+     * zur Hälfte abgearbeitet hat. Bricht sie ab, beenden wir den Crawl.
+     *
+     *     for await ( const product of crawler.products() ) { ... }
+     *
+     * @param  {{ highWaterMark?: number }} options
+     * @return {AsyncGenerator<Record<string, any>>}
+     */
+    async * products( { highWaterMark = 100 } = {} ) {
+        const buffer = [];
+        let finished = false;
+        let paused   = false;
+        let notify   = () => {};
+
+        const onProduct = product => {
+            buffer.push( product );
+
+            if ( buffer.length >= highWaterMark && !paused ) {
+                paused = true;
+                this.pause();
+            }
+
+            notify();
+        };
+
+        this.on( 'product', onProduct );
+
+        // Schlägt der Crawl fehl, erfährt die Schleife das, sobald sie den
+        // Puffer geleert hat.
+        const running = this.start();
+
+        running
+            .catch( () => {} )
+            .then( () => {
+                finished = true;
+                notify();
+            } );
+
+        try {
+            while ( true ) {
+                if ( buffer.length > 0 ) {
+                    if ( paused && buffer.length <= highWaterMark / 2 ) {
+                        paused = false;
+                        this.resume();
+                    }
+
+                    yield buffer.shift();
+
+                    continue;
+                }
+
+                if ( finished ) {
+                    await running;
+
+                    return;
+                }
+
+                await new Promise( resolve => {
+                    notify = resolve;
+                } );
+            }
+        } finally {
+            this.off( 'product', onProduct );
+
+            if ( paused ) {
+                this.resume();
+            }
+
+            if ( !finished ) {
+                this.stop();
+            }
+        }
+    }
+
+    /**
+     * Hält den Crawl an. Anfragen, die schon unterwegs sind, kommen noch an;
+     * bearbeitet werden sie aber erst, wenn der Crawl weiterläuft.
+     */
+    pause() {
+        if ( this._pause || this._stopped ) {
+            return;
+        }
+
+        let resume;
+        const promise = new Promise( resolve => {
+            resume = resolve;
+        } );
+
+        this._pause = { promise, resume };
+        this._logger.info( 'Pausing crawler' );
+    }
+
+    /**
+     * Setzt einen angehaltenen Crawl fort.
+     */
+    resume() {
+        if ( !this._pause ) {
+            return;
+        }
+
+        const { resume } = this._pause;
+
+        this._pause = null;
+        this._logger.info( 'Resuming crawler' );
+
+        resume();
+    }
+
+    /**
+     * Ob der Crawl gerade angehalten ist.
+     *
+     * @return {boolean}
+     */
+    get isPaused() {
+        return this._pause !== null;
+    }
+
+    /**
+     * Beendet den Crawl vorzeitig. Neue Anfragen gehen nicht mehr hinaus,
+     * Antworten, die noch ankommen, verwerfen wir. Was bis dahin gefunden
+     * wurde, landet trotzdem in der Ausgabe, und der Zustand im Checkpoint:
+     * Mit "resume" lässt sich der Crawl später fortsetzen.
+     *
+     * @return {Promise<CrawlResult>|null} Das Ergebnis des beendeten Crawls,
+     *                                     oder null, wenn er nicht läuft.
+     */
+    stop() {
+        if ( this._stopped ) {
+            return this._running;
+        }
+
+        this._stopped = true;
+        this._logger.info( 'Stopping crawler early' );
+
+        // Erneute Versuche, die noch auf ihren Termin warten, fallen weg. Ihre
+        // URLs bleiben in der Frontier offen.
+        this._retryTimers.forEach( timer => clearTimeout( timer ) );
+        this._retryTimers.clear();
+        this._scheduledRetries = 0;
+
+        // Angehaltene und gedrosselte Anfragen lassen wir los, damit sie
+        // verworfen werden.
+        this.resume();
+        this._throttle.releaseAll();
+
+        if ( this._checkFinished ) {
+            this._checkFinished();
+        }
+
+        return this._running;
+    }
+
+    /**
+     * Prüft alle Ausgangsbedingungen und startet anschließend den Crawler.
+     *
+     * @return {Promise<CrawlResult>}
+     * @private
+     */
+    async _run() {
+        this._logger.info( 'Starting crawler' );
+
+        // Soll ein abgebrochener Crawl fortgesetzt werden, laden wir dessen
+        // Zustand aus dem Checkpoint.
+        const state = await this._restoreCheckpoint();
+
+        // Der Startzeitpunkt identifiziert den Lauf. Setzen wir einen Crawl
+        // fort, gehört er noch zum ursprünglichen Lauf.
+        this._startedAt = state && state.startedAt
+                          ? new Date( state.startedAt )
+                          : new Date();
+
+        // Wir bereiten den Writer vor. Dabei wird geprüft, ob er die Ausgabe
+        // überhaupt schreiben kann. Beim Fortsetzen schreiben wir wieder in
+        // dieselbe Datei. Bei einem Probelauf schreiben wir gar nichts.
+        if ( !this._config.dryRun ) {
+            await this._writer.initialize( state ? state.outputFile : null );
+        }
+
+        if ( this._isDownloadingImages() ) {
+            await this._assets.initialize();
+        }
+
+        await this._cache.initialize();
+
+        if ( this._config.incremental ) {
+            await this._pageIndex.load();
+        }
+
+        // Dann prüfen wir, ob der Server überhaupt erreichbar ist. Spielen wir
+        // die Antworten aus dem Cache ab, brauchen wir ihn gar nicht.
+        if ( !this._cache.isReplaying ) {
+            await this._checkTargetHostIsUp();
+        }
+
+        // Wir erstellen einen Crawler, und übergeben ihm unser Handler-Callback
+        // mit dem wir die Antworten bearbeiten. Schlägt der Crawl fehl, sichern
+        // wir vorher noch den aktuellen Stand, damit er fortgesetzt werden kann.
+        // Auch dann erhalten alle Empfänger die Produkte, die wir bis dahin
+        // gefunden haben.
+        try {
+            await this._createCrawler( this._handle.bind( this ) );
+        } catch ( error ) {
+            this._logger.clearProgress();
+
+            await this._saveCheckpoint();
+            await this._finish( error );
+
+            throw error;
+        }
+
+        await this._finish();
+
+        // Ein Probelauf zeigt nur, was der Crawler finden würde.
+        if ( this._config.dryRun ) {
+            this._logger.info( 'Dry run: Nothing was written. Stopping crawler' );
+
+            return this._getResult();
+        }
+
+        // Ein vorzeitig beendeter Crawl lässt sich fortsetzen. In die History
+        // kommt er nicht, und der Index des letzten Laufs bleibt bestehen.
+        if ( this._stopped ) {
+            await this._saveCheckpoint();
+
+            this._logger.info( 'Crawler stopped early. Run with "resume" to continue' );
+
+            return this._getResult();
+        }
+
+        // Einzelne Fehler nehmen wir hin. Sind aber zu viele Seiten
+        // fehlgeschlagen, ist die Ausgabe so lückenhaft, dass der Crawl als
+        // gescheitert gilt. Fortsetzen lässt er sich dann nicht mehr: Die
+        // fehlgeschlagenen URLs sind schon abgearbeitet.
+        if ( this._failures.exceedsThreshold( this._counter ) ) {
+            await this._checkpoint.clear();
+
+            throw new Error(
+                `Too many failed pages: ${ this._failures.countPages() } of ` +
+                `${ this._counter } pages could not be crawled, which is more ` +
+                `than the allowed error rate of ` +
+                `${ this._failures.maxErrorRate * 100 }%. See the errors file ` +
+                'in the output directory for details.',
+            );
+        }
+
+        // Nur ein vollständiger und gesunder Lauf kommt in die History. Ein
+        // abgebrochener würde beim nächsten Vergleich lauter entfernte
+        // Produkte vortäuschen - ebenso einer, in dem ein kaputter Selektor
+        // die meisten Produkte ungültig gemacht hat.
+        if ( this._isHealthy() ) {
+            await this._recordRun();
+
+            // Erst jetzt ersetzt der Index dieses Laufs den des letzten.
+            if ( this._config.incremental ) {
+                await this._pageIndex.save();
+            }
+        } else {
+            this._reportUnhealthy();
+        }
+
+        // Der Crawl ist vollständig: Es gibt nichts mehr fortzusetzen.
+        await this._checkpoint.clear();
+
+        this._logger.info( 'Stopping crawler' );
+
+        return this._getResult();
+    }
+
+    /**
+     * Schließt den Crawl ab, ob er vollständig, vorzeitig beendet oder
+     * fehlgeschlagen ist: Alle Empfänger erhalten die Produkte, dann folgen
+     * die Fehlerdatei und die Statistik.
+     *
+     * @param  {Error|null} error Der Fehler, an dem der Crawl gescheitert ist
+     * @return {Promise<void>}
+     * @private
+     */
+    async _finish( error = null ) {
+        this._reportCacheMisses();
+
+        await this._renderer.close();
+        await this._saveAssets();
+        await this._emitAsync( 'done', {
+            pages:    this._counter,
+            products: this._getProducts(),
+            failures: this._failures.size,
+            invalid:  this._validator.size,
+            stopped:  this._stopped,
+            error,
+        } );
+
+        if ( !this._config.dryRun ) {
+            await this._writeFailures();
+            await this._writeQuarantine();
+        }
+
+        await this._writeStats();
+    }
+
+    /**
+     * Löst ein Event aus und wartet auf alle Empfänger, die ein Promise
+     * zurückgeben.
+     *
+     * @param  {string} event
+     * @param  {...any} args
+     * @return {Promise<void>}
+     * @private
+     */
+    async _emitAsync( event, ...args ) {
+        await Promise.all( this.listeners( event ).map( listener => listener.apply( this, args ) ) );
+    }
+
+    /**
+     * Wartet, solange der Crawl angehalten ist.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    async _waitWhilePaused() {
+        while ( this._pause ) {
+            await this._pause.promise;
+        }
+    }
+
+    /**
+     * Läuft vor jeder Anfrage, die über das Netzwerk geht: Ist der Crawl
+     * angehalten, wartet sie; dann wartet sie, bis der Throttle sie zu ihrem
+     * Host lässt, und bekommt vom ProxyPool ihren Proxy. Ist der Crawl
+     * beendet, geht sie gar nicht erst hinaus. Mit der Operation "fail" landet
+     * sie trotzdem in unserem Callback, damit der Crawler sie als erledigt
+     * zählt.
+     *
+     * @param {Record<string, any>}    options
+     * @param {function(Error=): void} proceed
+     * @private
+     */
+    _beforeRequest( options, proceed ) {
+        const fail = () => {
+            const error = new Error( 'Crawler stopped' );
+            error.op    = 'fail';
+
+            proceed( error );
+        };
+
+        this._waitWhilePaused()
+            .then( () => {
+                if ( this._stopped ) {
+                    return fail();
+                }
+
+                return this._throttle.acquire( options.uri ).then( acquired => {
+                    if ( !acquired ) {
+                        return fail();
+                    }
+
+                    if ( !this._stopped ) {
+                        const proxy = this._proxies.assign( options.uri );
+
+                        // Ohne Proxy setzen wir die Option gar nicht erst,
+                        // sonst gelten die Umgebungsvariablen nicht mehr.
+                        if ( proxy ) {
+                            options.proxy = proxy;
+                        }
+
+                        return proceed();
+                    }
+
+                    // Der Crawl wurde beendet, nachdem die Anfrage ihre
+                    // Verbindung bekommen hat. Wir geben sie gleich zurück.
+                    this._throttle.release( options.uri );
+
+                    fail();
+                } );
+            } );
+    }
+
+    /**
+     * Fasst das Ergebnis des Crawls zusammen.
+     *
+     * @return {CrawlResult}
+     * @private
+     */
+    _getResult() {
+        return {
+            pages:       this._counter,
+            products:    this._catalogue.size,
+            failures:    this._failures.size,
+            invalid:     this._validator.size,
+            outputFiles: this._config.dryRun ? [] : this._writer.filePaths,
+            stopped:     this._stopped,
+            healthy:     this._isHealthy(),
+        };
+    }
+
+    /**
+     * Die Handle-Methode arbeitet Crawler-Antworten ab. Dabei muss immer eine
+     * oder mehrere neue URL in die Warteschlange eingereiht werden, damit der
+     * Crawler weiterläuft - er braucht quasi weiter Treibstoff zum verfeuern.
+     *
+     * @param  {Crawler}                crawler
+     * @param  {CrawlerRequestResponse} response
+     * @return {Promise<void>}
+     * @private
+     */
+    async _handle( crawler, response ) {
+        const pageUrl = response.options.uri;
+
+        // Hat sich die Seite seit dem letzten Lauf nicht geändert, übernehmen
+        // wir, was wir damals ausgewertet haben. Sonst starten wir den Parser.
+        const page = this._isNotModified( response )
+                     ? this._pageIndex.getPrevious( pageUrl )
+                     : await this._parsePage( response );
+
+        const { nextUrls, productUrls, category } = page;
+        const product                             = this._trackChanges( response, page );
+        const violations                          = product ? this._validator.validate( product ) : [];
+
+        // Wir haben ein Ergebnis und nehmen es in den Katalog auf. In die
+        // Ausgabe wird es erst am Ende des Crawls geschrieben.
+        // Verletzt es das Schema, kommt es stattdessen in die Quarantäne. Ist
+        // die Höchstzahl an Produkten erreicht, nehmen wir keine weiteren
+        // mehr auf.
+        if ( violations.length > 0 ) {
+            this._quarantine( pageUrl, product, violations );
+        } else if ( product && this._hasReachedProductLimit() ) {
+            this._logger.debug( 'Product limit reached, skipping result' );
+            this.emit( 'skipped', { url: pageUrl, reason: 'Product limit reached' } );
+        } else if ( product ) {
+            this._logger.debug( 'Adding result to catalogue' );
+
+            const size  = this._catalogue.size;
+            const entry = this._catalogue.add( product, pageUrl );
+
+            this._queueImages( crawler, product );
+
+            // Kennen wir das Produkt schon von einer anderen Seite, hat der
+            // Katalog nur die Kategorien zusammengeführt; es ist nicht neu.
+            if ( this._catalogue.size > size ) {
+                this.emit( 'product', entry, pageUrl );
+            }
+        }
+
+        // Jedes Produkt, das auf einer Auflistung steht, gehört zu deren
+        // Kategorie. Das vermerken wir auch dann, wenn wir das Produkt schon
+        // aus einer anderen Kategorie kennen.
+        productUrls.forEach( url => this._catalogue.addCategory(
+            this._frontier.normalize( url, pageUrl ),
+            category,
+        ) );
+
+        // Wir haben alle Seiten gecrawlt! Es gibt also nichts mehr zu holen
+        // und wir können die Crawler-Warteschlange beenden. Dazu rufen wir
+        // das done-Callback auf, und beenden die Ausführung.
+        if ( nextUrls.length === 0 && productUrls.length === 0 ) {
+            this._logger.debug( 'No further URLs in response' );
+
+            return;
+        }
+
+        this._logger.debug( 'Adding next URLs to queue' );
+
+        // Wir haben weitere URLs vom Parser erhalten, also legen wir sie in die
+        // Warteschlange; der Crawler bearbeitet sie dann im nächsten Durchlauf.
+        // Relative Links lösen wir dabei gegen die URL der aktuellen Seite auf.
+        [ ...productUrls, ...nextUrls ].forEach( url => this._enqueue(
+            crawler,
+            url,
+            pageUrl,
+        ) );
+    }
+
+    /**
+     * Wertet eine Antwort mit dem Parser aus und normalisiert das Ergebnis.
+     * Seiten, die gerendert werden sollen, rendern wir vorher.
+     *
+     * @param  {CrawlerRequestResponse} response
+     * @return {Promise<PageRecord>}
+     * @private
+     */
+    async _parsePage( response ) {
+        this._logger.debug( 'Passing response to parser' );
+
+        const {
+            result,
+            nextUrls    = [],
+            productUrls = [],
+            category    = [],
+        } = await this._parser.parse( await this._renderer.render( response ) );
+
+        return {
+            result: result ? this._normalizer.normalize( result ) : null,
+            nextUrls,
+            productUrls,
+            category,
+        };
+    }
+
+    /**
+     * Prüft, ob der Server auf unsere bedingte Anfrage geantwortet hat, dass
+     * sich die Seite seit dem letzten Lauf nicht geändert hat.
+     *
+     * @param  {CrawlerRequestResponse} response
+     * @return {boolean}
+     * @private
+     */
+    _isNotModified( response ) {
+        return this._config.incremental &&
+               response.statusCode === 304 &&
+               this._pageIndex.getPrevious( response.options.uri ) !== null;
+    }
+
+    /**
+     * Vermerkt eine Seite im Index für den nächsten Lauf und markiert ihr
+     * Ergebnis als neu, geändert oder unverändert. Außerhalb des
+     * inkrementellen Modus bleibt das Ergebnis, wie es ist.
+     *
+     * @param  {CrawlerRequestResponse} response
+     * @param  {PageRecord}             page
+     * @return {Record<string, any>|null} Das Ergebnis der Seite
+     * @private
+     */
+    _trackChanges( response, page ) {
+        if ( !this._config.incremental ) {
+            return page.result;
+        }
+
+        const url         = response.options.uri;
+        const notModified = this._isNotModified( response );
+        const headers     = response.headers || {};
+
+        // Eine Antwort mit 304 muss "ETag" und "Last-Modified" nicht noch
+        // einmal mitschicken; dann gelten die alten weiter.
+        const previous = notModified ? this._pageIndex.getPrevious( url ) : {};
+        const hash     = notModified ? previous.hash : this._pageIndex.hash( page.result );
+
+        this._pageIndex.set( url, {
+            etag:         headers.etag || previous.etag || null,
+            lastModified: headers[ 'last-modified' ] || previous.lastModified || null,
+            hash,
+            result:       page.result,
+            nextUrls:     page.nextUrls,
+            productUrls:  page.productUrls,
+            category:     page.category,
+        } );
+
+        if ( !page.result ) {
+            return null;
+        }
+
+        return {
+            ...page.result,
+            changeStatus: notModified ? PageIndex.UNCHANGED : this._pageIndex.compare( url, hash ),
+        };
+    }
+
+    /**
+     * Liefert alle Produkte aus dem Katalog. Laden wir die Bilder herunter,
+     * steht bei jedem Produkt neben der URL eines Bilds auch die lokale Datei.
+     *
+     * @return {Record<string, any>[]}
+     * @private
+     */
+    _getProducts() {
+        const products = [ ...this._catalogue ];
+
+        return this._isDownloadingImages()
+               ? products.map( product => this._assets.annotate( product ) )
+               : products;
+    }
+
+    /**
+     * Nimmt ein ungültiges Produkt in die Quarantäne.
+     *
+     * @param {string}              url
+     * @param {Record<string, any>} product
+     * @param {Violation[]}         violations
+     * @private
+     */
+    _quarantine( url, product, violations ) {
+        this._logger.warn(
+            `Quarantined result from "${ url }": ` +
+            violations.map( ( { message } ) => message ).join( '; ' ),
+            { url, violations },
+        );
+
+        this._validator.quarantine( url, product, violations );
+
+        this.emit( 'invalid', { url, product, violations } );
+    }
+
+    /**
+     * Prüft, ob der Lauf gesund ist: ob höchstens "maxInvalidRate" der
+     * Produkte das Schema verletzt haben.
+     *
+     * @return {boolean}
+     * @private
+     */
+    _isHealthy() {
+        return !this._validator.exceedsThreshold( this._catalogue.size );
+    }
+
+    /**
+     * Meldet einen Lauf, der nicht gesund ist. Meistens hat die Zielseite ihr
+     * Markup geändert, und ein Selektor des Profils findet nichts mehr.
+     *
+     * @private
+     */
+    _reportUnhealthy() {
+        const rate = this._validator.getInvalidRate( this._catalogue.size );
+
+        this._logger.error(
+            `Run unhealthy: ${ this._validator.size } of ` +
+            `${ this._validator.size + this._catalogue.size } products ` +
+            `(${ Math.round( rate * 100 ) }%) failed validation, which is more ` +
+            `than the allowed rate of ${ this._validator.maxInvalidRate * 100 }%. ` +
+            `Check the selectors of the profile "${ this._config.profile || 'verleihnix' }" ` +
+            'against the quarantine file in the output directory. The run was ' +
+            'not recorded in the history.',
+            { invalid: this._validator.size, valid: this._catalogue.size },
+        );
+    }
+
+    /**
+     * Legt alle Bilder eines Produkts in die Warteschlange, die wir noch nicht
+     * heruntergeladen haben. Die Bilder laufen durch denselben Crawler wie die
+     * Seiten und damit auch durch dieselbe Ratenbegrenzung. Die Frontier
+     * umgehen sie: Bilder liegen oft auf einem anderen Host, etwa einem CDN.
+     *
+     * @param {Crawler}             crawler
+     * @param {Record<string, any>} product
+     * @private
+     */
+    _queueImages( crawler, product ) {
+        if ( !this._isDownloadingImages() ) {
+            return;
+        }
+
+        ( product.images || [] )
+            .filter( url => /^https?:\/\//.test( url ) )
+            .filter( url => !this._assets.has( url ) && !this._pendingAssets.has( url ) )
+            .forEach( url => {
+                this._pendingAssets.add( url );
+
+                if ( !this._queue( crawler, this._createRequest( url, true ) ) ) {
+                    this._pendingAssets.delete( url );
+                }
+            } );
+    }
+
+    /**
+     * Erstellt die Optionen für eine Anfrage. Bilder brauchen wir als Buffer,
+     * nicht als Text, und cheerio hat bei ihnen nichts zu tun.
+     *
+     * @param  {string}  url
+     * @param  {boolean} asset   Ob es sich um ein Bild handelt
+     * @param  {number}  attempt Der wievielte Versuch das ist
+     * @return {Record<string, any>}
+     * @private
+     */
+    _createRequest( url, asset = false, attempt = 1 ) {
+
+        // Im inkrementellen Modus fragen wir Seiten, die wir schon kennen,
+        // bedingt an. Hat sich nichts geändert, antwortet der Server mit 304.
+        const headers = this._config.incremental && !asset
+                        ? this._pageIndex.getConditionalHeaders( url )
+                        : {};
+
+        return {
+            uri: url,
+            attempt,
+            ...( Object.keys( headers ).length > 0 ? { headers } : {} ),
+            ...( asset ? { encoding: null, jQuery: false, asset: true } : {} ),
+        };
+    }
+
+    /**
+     * Speichert ein heruntergeladenes Bild im AssetStore. Ein Bild, das sich
+     * nicht laden oder nicht speichern lässt, bricht den Crawl nicht ab: Wir
+     * vermerken es in der Fehlerdatei und machen weiter; im nächsten Lauf
+     * versuchen wir es erneut.
+     *
+     * @param  {CrawlerRequestResponse} response
+     * @param  {Failure|null}           failure
+     * @return {Promise<void>}
+     * @private
+     */
+    async _handleAsset( response, failure ) {
+        const url = response.options.uri;
+
+        this._pendingAssets.delete( url );
+
+        if ( failure ) {
+            this._recordFailure( response, 'image', failure );
+
+            return;
+        }
+
+        let path;
+
+        try {
+            path = await this._assets.store(
+                url,
+                response.body,
+                response.headers[ 'content-type' ],
+            );
+        } catch ( storeError ) {
+            this._recordFailure( response, 'image', {
+                status:    response.statusCode,
+                reason:    `Could not store image: ${ storeError.message }`,
+                transient: false,
+            } );
+
+            return;
+        }
+
+        this._logger.debug( `Stored image "${ url }" as "${ path }"`, { url, path } );
+    }
+
+    /**
+     * Legt eine fehlgeschlagene Anfrage nach einer Wartezeit erneut in die
+     * Warteschlange. Die Wartezeit wächst mit jedem Versuch; verlangt der
+     * Server mit "Retry-After" eine längere Pause, halten wir uns daran.
+     *
+     * @param {Crawler}                crawler
+     * @param {CrawlerRequestResponse} response
+     * @param {Failure}                failure
+     * @private
+     */
+    _scheduleRetry( crawler, response, failure ) {
+        const { uri: url, asset = false, attempt = 1 } = response.options;
+
+        const delay = this._failures.getRetryDelay(
+            attempt,
+            response.headers && response.headers[ 'retry-after' ],
+        );
+
+        this._logger.warn(
+            `Request for "${ url }" failed (${ failure.reason }), ` +
+            `retrying in ${ delay }ms`,
+            { url, status: failure.status, attempt, delay },
+        );
+
+        this._scheduledRetries++;
+
+        const timer = setTimeout( () => {
+            this._retryTimers.delete( timer );
+            this._scheduledRetries--;
+
+            this._queue( crawler, this._createRequest( url, asset, attempt + 1 ) );
+        }, delay );
+
+        this._retryTimers.add( timer );
+    }
+
+    /**
+     * Vermerkt eine URL als endgültig fehlgeschlagen.
+     *
+     * @param {CrawlerRequestResponse} response
+     * @param {string}                 type     "page" oder "image"
+     * @param {Failure}                failure
+     * @private
+     */
+    _recordFailure( response, type, failure ) {
+        const { uri: url, attempt = 1 } = response.options;
+
+        this._logger.error(
+            `Giving up on "${ url }": ${ failure.reason }`,
+            { url, status: failure.status, attempts: attempt },
+        );
+
+        this._failures.record( url, type, failure, attempt );
+
+        // Ohne Empfänger würde ein "error"-Event den ganzen Prozess beenden.
+        if ( this.listenerCount( 'error' ) > 0 ) {
+            this.emit( 'error', {
+                url,
+                type,
+                status:   failure.status,
+                reason:   failure.reason,
+                attempts: attempt,
+            } );
+        }
+    }
+
+    /**
+     * Schreibt alle fehlgeschlagenen URLs mit Status und Grund in die
+     * Fehlerdatei im Ausgabeordner. Ist nichts fehlgeschlagen, gibt es auch
+     * keine Fehlerdatei.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    async _writeFailures() {
+        if ( this._failures.size === 0 ) {
+            return;
+        }
+
+        this._logger.warn( `${ this._failures.size } URLs failed` );
+
+        await this._writer.writeAttachment(
+            'errors.json',
+            JSON.stringify( this._failures, null, 4 ) + '\n',
+        );
+    }
+
+    /**
+     * Schreibt alle ungültigen Produkte mit ihrer URL und den verletzten
+     * Regeln in die Quarantäne-Datei im Ausgabeordner. Ist kein Produkt
+     * ungültig, gibt es auch keine Quarantäne-Datei.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    async _writeQuarantine() {
+        if ( this._validator.size === 0 ) {
+            return;
+        }
+
+        this._logger.warn( `${ this._validator.size } products failed validation` );
+
+        await this._writer.writeAttachment(
+            'quarantine.json',
+            JSON.stringify( this._validator, null, 4 ) + '\n',
+        );
+    }
+
+    /**
+     * Gibt die Zusammenfassung des Laufs aus und speichert sie als
+     * "stats.json" neben der Ausgabe: Dauer, Antworten je HTTP-Status und
+     * Produkte je Kategorie. Bei einem Probelauf wird sie nur ausgegeben.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    async _writeStats() {
+        const stats = this._stats.summarize( {
+            pages:    this._counter,
+            failures: this._failures.size,
+            invalid:  this._validator.size,
+            products: this._getProducts(),
+            proxies:  this._proxies.getStats(),
+        } );
+
+        this._logger.clearProgress();
+        this._stats.format( stats ).forEach( line => this._logger.info( line ) );
+
+        if ( this._config.dryRun ) {
+            return;
+        }
+
+        await this._writer.writeAttachment(
+            'stats.json',
+            JSON.stringify( stats, null, 4 ) + '\n',
+        );
+    }
+
+    /**
+     * Aktualisiert die Fortschrittszeile.
+     *
+     * @param {Crawler} crawler
+     * @private
+     */
+    _reportProgress( crawler ) {
+        this._logger.progress( this._stats.getProgress( {
+            pages:    this._counter,
+            queue:    crawler.queueSize + this._scheduledRetries,
+            products: this._catalogue.size,
+            errors:   this._failures.size,
+        } ) );
+    }
+
+    /**
+     * Prüft, ob wir die Produktbilder herunterladen. Bei einem Probelauf tun
+     * wir das nie.
+     *
+     * @return {boolean}
+     * @private
+     */
+    _isDownloadingImages() {
+        return this._config.downloadImages && !this._config.dryRun;
+    }
+
+    /**
+     * Speichert den Index der heruntergeladenen Bilder.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    async _saveAssets() {
+        if ( this._isDownloadingImages() ) {
+            await this._assets.save();
+        }
+    }
+
+    /**
+     * Speichert den Schnappschuss des aktuellen Laufs in der History. Ist der
+     * Vergleichsmodus aktiv, wird der Lauf vorher mit dem letzten verglichen.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    async _recordRun() {
+        const run = {
+            id:          History.createRunId( this._startedAt ),
+            startedAt:   this._startedAt.toISOString(),
+            finishedAt:  ( new Date() ).toISOString(),
+            outputFiles: this._writer.filePaths,
+            products:    this._getProducts(),
+        };
+
+        // Den letzten Lauf müssen wir laden, bevor wir den aktuellen
+        // speichern - sonst wäre der aktuelle Lauf der neueste.
+        const previousRun = this._config.diff
+                            ? await this._history.latest()
+                            : null;
+
+        await this._history.save( run );
+
+        if ( !this._config.diff ) {
+            return;
+        }
+
+        if ( !previousRun ) {
+            this._logger.info( 'No previous run found, skipping diff report' );
+
+            return;
+        }
+
+        await this._reportChanges( previousRun, run );
+    }
+
+    /**
+     * Vergleicht zwei Läufe und schreibt das Ergebnis als JSON-Datei und als
+     * lesbare Zusammenfassung in den Ausgabeordner.
+     *
+     * @param  {Run} previousRun
+     * @param  {Run} currentRun
+     * @return {Promise<void>}
+     * @private
+     */
+    async _reportChanges( previousRun, currentRun ) {
+        this._logger.info( `Comparing with previous run ${ previousRun.id }` );
+
+        const report  = this._differ.diff( previousRun, currentRun );
+        const summary = this._differ.summarize( report );
+
+        summary.trimEnd().split( '\n' ).forEach( line => this._logger.info( line ) );
+
+        await this._writer.writeAttachment(
+            'diff.json',
+            JSON.stringify( report, null, 4 ) + '\n',
+        );
+        await this._writer.writeAttachment( 'diff.txt', summary );
+    }
+
+    /**
+     * Legt eine URL in die Warteschlange des Crawlers. Vorher geht sie durch
+     * die Frontier: URLs außerhalb des Crawling-Bereichs und URLs, die wir
+     * schon kennen, überspringen wir.
+     *
+     * @param  {Crawler}     crawler
+     * @param  {string}      url
+     * @param  {string|null} baseUrl
+     * @return {boolean} Ob die URL in die Warteschlange gelegt wurde.
+     * @private
+     */
+    _enqueue( crawler, url, baseUrl = null ) {
+
+        // Sind die Höchstzahlen erreicht oder ist der Crawl beendet, nehmen
+        // wir keine neuen URLs mehr auf. Der Crawl endet dann, sobald die
+        // Warteschlange leer ist.
+        if ( this._stopped || this._hasReachedPageLimit() || this._hasReachedProductLimit() ) {
+            return false;
+        }
+
+        // URLs, die die robots.txt verbietet, rufen wir nicht ab.
+        const candidateUrl = this._frontier.normalize( url, baseUrl );
+
+        if ( candidateUrl && !this._robots.isAllowed( candidateUrl ) ) {
+            if ( !this._disallowed.has( candidateUrl ) ) {
+                this._disallowed.add( candidateUrl );
+                this._logger.info(
+                    `Skipping "${ candidateUrl }": Disallowed by robots.txt`,
+                    { url: candidateUrl },
+                );
+                this.emit( 'skipped', { url: candidateUrl, reason: 'Disallowed by robots.txt' } );
+            }
+
+            return false;
+        }
+
+        const normalizedUrl = this._frontier.push( url, baseUrl );
+
+        if ( !normalizedUrl ) {
+            return false;
+        }
+
+        // Fehlt die URL beim Abspielen im Cache, gilt sie als erledigt.
+        if ( !this._queue( crawler, this._createRequest( normalizedUrl ) ) ) {
+            this._frontier.complete( normalizedUrl );
+
+            return false;
+        }
+
+        return true;
     }
 
     /**
-     * Die start-Methode ist die einzige, die von außerhalb des Moduls
-     * aufgerufen werden soll. Sie prüft alle Ausgangsbedingungen und startet
-     * anschließend den Crawler.
+     * Legt eine Anfrage in die Warteschlange des Crawlers. Spielen wir die
+     * Antworten aus dem Cache ab, bekommt die Anfrage die aufgezeichnete
+     * Antwort gleich mit: Über die Option "html" liefert der Crawler sie an
+     * unser Callback, ohne das Netzwerk zu benutzen. Status und Header setzen
+     * wir dort wieder ein.
      *
-     * @return {Promise<void>}
+     * @param  {Crawler}             crawler
+     * @param  {Record<string, any>} request
+     * @return {boolean} Ob die Anfrage in die Warteschlange gelegt wurde.
+     * @private
      */
-    async start() {
-        this._writeLog( 'Starting Crawler', '================' );
+    _queue( crawler, request ) {
+        if ( this._stopped ) {
+            return false;
+        }
 
-        // Wir bereiten den Writer vor. Dabei wird geprüft, ob er die Ausgabe
-        // überhaupt schreiben kann.
-        await this._writer.initialize();
+        if ( !this._cache.isReplaying ) {
+            crawler.queue( request );
 
-        // Dann prüfen wir, ob der Server überhaupt erreichbar ist
-        await this._checkTargetHostIsUp();
+            return true;
+        }
 
-        // Wir erstellen einen Crawler, und übergeben ihm unser Handler-Callback
-        // mit dem wir die Antworten bearbeiten.
-        await this._createCrawler( this._handle.bind( this ) );
+        const cached = this._cache.load( request.uri );
+
+        if ( !cached ) {
+            this._logger.warn( `Cache miss for "${ request.uri }"`, { url: request.uri } );
+            this.emit( 'skipped', { url: request.uri, reason: 'Not in HTTP cache' } );
+
+            return false;
+        }
+
+        // Die Antwort übergeben wir als Buffer: Ein leerer Text würde als
+        // fehlende Option gelten, und der Crawler würde die URL doch abrufen.
+        // Aufgezeichnet haben wir Texte immer als UTF-8.
+        crawler.queue( {
+            ...request,
+            html:             cached.body,
+            incomingEncoding: 'utf-8',
+            cached:           { status: cached.status, headers: cached.headers },
+        } );
 
-        this._writeLog( 'Stopping Crawler', '================' );
+        return true;
     }
 
     /**
-     * Die Handle-Methode arbeitet Crawler-Antworten ab. Dabei muss immer eine
-     * oder mehrere neue URL in die Warteschlange eingereiht werden, damit der
-     * Crawler weiterläuft - er braucht quasi weiter Treibstoff zum verfeuern.
+     * Meldet am Ende eines abgespielten Laufs, welche Anfragen nicht im Cache
+     * lagen.
      *
-     * @param  {Crawler}                crawler
-     * @param  {CrawlerRequestResponse} response
-     * @return {Promise<void>}
      * @private
      */
-    async _handle( crawler, response ) {
-        this._writeLog( 'Passing response to parser' );
+    _reportCacheMisses() {
+        const misses = this._cache.misses;
 
-        // Wir starten den Parser, der die Antwort auswertet
-        const { result, nextUrls } = await this._parser.parse(
-            response,
-        );
+        if ( misses.length > 0 ) {
+            this._logger.warn(
+                `${ misses.length } requests were not in the HTTP cache and were skipped`,
+                { misses },
+            );
+        }
+    }
+
+    /**
+     * Prüft, ob wir so viele Seiten abgerufen oder in die Warteschlange gelegt
+     * haben, wie "maxPages" erlaubt.
+     *
+     * @return {boolean}
+     * @private
+     */
+    _hasReachedPageLimit() {
+        const { maxPages } = this._config;
+
+        return maxPages !== null &&
+               this._frontier.completed.size + this._frontier.pending.size >= maxPages;
+    }
+
+    /**
+     * Prüft, ob der Katalog so viele Produkte enthält, wie "maxProducts"
+     * erlaubt.
+     *
+     * @return {boolean}
+     * @private
+     */
+    _hasReachedProductLimit() {
+        const { maxProducts } = this._config;
 
-        // Wir haben ein Ergebnis, also schreiben wir es in die Ausgabe.
-        if ( result ) {
-            this._writeLog( 'Passing result to writer' );
+        return maxProducts !== null && this._catalogue.size >= maxProducts;
+    }
 
-            await this._writer.write( result );
+    /**
+     * Lädt den Zustand eines abgebrochenen Crawls, wenn er fortgesetzt werden
+     * soll.
+     *
+     * @return {Promise<CheckpointState|null>}
+     * @private
+     */
+    async _restoreCheckpoint() {
+        if ( !this._config.resume ) {
+            return null;
         }
 
-        // Wir haben alle Seiten gecrawlt! Es gibt also nichts mehr zu holen
-        // und wir können die Crawler-Warteschlange beenden. Dazu rufen wir
-        // das done-Callback auf, und beenden die Ausführung.
-        if ( !nextUrls || nextUrls.length === 0 ) {
-            this._writeLog( 'No further URLs in response' );
+        const state = await this._checkpoint.load();
+
+        if ( !state ) {
+            this._logger.info( 'No checkpoint found, starting a fresh crawl' );
+
+            return null;
+        }
+
+        this._frontier.restore( state );
+        this._failures.restore( state.failures );
+        this._validator.restore( state.quarantine );
+        this._stats.restore( state.stats );
+        this._proxies.restore( state.proxies );
+        this._counter = state.counter;
+
+        // Produkte und Seiten stehen im Journal, in älteren Checkpoints noch
+        // im Checkpoint selbst.
+        this._catalogue.restore( state.catalogue || {} );
+        this._pageIndex.restore( state.pages );
+
+        state.journal.forEach( ( { catalogue, pages } ) => {
+            this._catalogue.restore( catalogue );
+            this._pageIndex.restore( pages );
+        } );
+
+        this._logger.info(
+            `Resuming crawl from checkpoint saved at ${ state.savedAt }: ` +
+            `${ this._frontier.completed.size } URLs done, ` +
+            `${ this._frontier.pending.size } URLs pending`,
+        );
+
+        return state;
+    }
 
+    /**
+     * Speichert den aktuellen Zustand des Crawls im Checkpoint. Produkte und
+     * Seiten, die seit dem letzten Mal dazugekommen sind, hängen wir an sein
+     * Journal an, anstatt sie jedes Mal alle neu zu schreiben.
+     *
+     * @return {Promise<void>}
+     * @private
+     */
+    async _saveCheckpoint() {
+        if ( this._config.dryRun ) {
             return;
         }
 
-        this._writeLog( 'Adding next URL to queue' );
+        await this._checkpoint.save( {
+            ...this._frontier.toJSON(),
+            startedAt:  this._startedAt.toISOString(),
+            failures:   this._failures.toJSON(),
+            quarantine: this._validator.toJSON(),
+            counter:    this._counter,
+            outputFile: this._writer.basePath,
+            stats:      this._stats.toJSON(),
+            proxies:    this._proxies.getStats(),
+        }, {
+            catalogue: this._catalogue.takeChanges(),
+            pages:     this._pageIndex.takeChanges(),
+        } );
 
-        // Wir haben weitere URLs vom Parser erhalten, also legen wir sie in die
-        // Warteschlange; der Crawler bearbeitet sie dann im nächsten Durchlauf.
-        nextUrls.forEach( url => crawler.queue( url ) );
+        // Die Bilder liegen schon auf der Festplatte; damit wir sie nach einem
+        // Abbruch wiederfinden, sichern wir auch den Index.
+        await this._saveAssets();
+
+        this._logger.debug( 'Saved checkpoint' );
     }
 
     /**
-     * Prüft, ob der Zielhost erreichbar ist.
+     * Prüft, ob der Zielhost erreichbar ist: Wir rufen die Start-URL mit
+     * Schema, Port und Proxy ab, wie später auch der Crawl selbst, und
+     * erwarten eine Antwort ohne Fehlerstatus.
      *
      * @return {Promise<void>}
      * @private
@@ -119,60 +1391,50 @@ class VerleihnixCrawler {
             );
         }
 
-        return new Promise( ( resolve, reject ) => {
-            this._writeLog(
-                `Attempting to connect to ${ this._config.targetHost }:443`,
-            );
-
-            // Wir stellen einen Timer: Sobald er abgelaufen ist und wir noch
-            // keine Antwort vom Zielserver erhalten haben, brechen wir ab: Der
-            // Server ist nicht erreichbar.
-            const timer = setTimeout(
-                // Erst schließen wir den Netzwerk-Socket, dann markieren wir
-                // das Promise als fehlgeschlagen.
-                () => socket.end() && reject( 'Connection Timeout' ),
-                this._config.connectionTimeout,
-            );
+        const url = this._createUrlForPath( this._config.startUrl ).toString();
+        const via = this._proxies.size > 0 ? ' through the configured proxies' : '';
 
-            // Ab hier stoppen wir die Zeit für den Verbindungsaufbau.
-            const startTime = new Date();
-
-            // Wir öffnen einen Netzwerk-Socket zum Zielserver auf Port 443: Das
-            // ist standardmäßig der HTTPS-Port für Webserver.
-            const socket = net.createConnection(
-                443,
-                this._config.targetHost,
-                () => {
-                    this._writeLog(
-                        `Received response from target host ` +
-                        `after ${ ( new Date() ) - startTime }ms`,
-                    );
+        this._logger.info( `Checking that "${ url }" is reachable${ via }` );
 
-                    // Wir löschen den Timeout, damit er die Verbindung nicht
-                    // nachträglich abbrechen kann
-                    clearTimeout( timer );
+        // Für die eine Anfrage genügt ein eigener Crawler mit denselben
+        // Optionen, aber ohne Wiederholungen: Antwortet der Server nicht
+        // rechtzeitig, ist er nicht erreichbar.
+        const crawler = new Crawler( {
+            ...this._config.crawler,
+            retries:   0,
+            rateLimit: 0,
+            logger:    this._logger.forCrawler(),
+        } );
 
-                    // Wir markieren das Promise als erfolgreich
-                    resolve();
+        // Ab hier stoppen wir die Zeit für die Anfrage.
+        const startTime = new Date();
 
-                    // Wir schließen den Socket
-                    socket.end();
-                } );
+        let response;
 
-            // Wenn auf dem Socket ein Fehler auftritt, brechen wir die
-            // Verbindung ab und markieren das Promise als fehlgeschlagen: Wir
-            // können nichts mehr tun.
-            socket.on(
-                'error',
-                error => {
-                    this._writeLog( `Could not connect: ${ error }` );
+        try {
+            response = await this._direct( crawler, url, { timeout: this._config.connectionTimeout } );
+        } catch ( error ) {
+            throw new Error(
+                `Target host unreachable: Could not fetch "${ url }"${ via }: ` +
+                `${ error.message.trim() }.\n` +
+                'Check the "targetHost" and "targetScheme" keys in the ' +
+                'configuration file and, if your network requires one, the ' +
+                'proxy settings.',
+            );
+        }
 
-                    clearTimeout( timer );
+        this._logger.info(
+            `Received HTTP ${ response.statusCode } from target host ` +
+            `after ${ ( new Date() ) - startTime }ms`,
+        );
 
-                    reject( error );
-                },
+        if ( response.statusCode >= 400 ) {
+            throw new Error(
+                `Start URL unavailable: "${ url }" answered with HTTP ` +
+                `${ response.statusCode }. Check the "startUrl" key in the ` +
+                'configuration file.',
             );
-        } );
+        }
     }
 
     /**
@@ -188,11 +1450,16 @@ class VerleihnixCrawler {
         // Dadurch können wir auf die vollständige Abarbeitung aller Links
         // warten und Code ausführen, wenn wir fertig sind.
         return new Promise( ( resolve, reject ) => {
-            this._writeLog( 'Creating crawler instance' );
+            this._logger.debug( 'Creating crawler instance' );
 
-            // Wir zeichnen auf, wie viele URLs wir schon gecrawlt haben. Das
-            // ist aber nur als interessante Information gedacht.
-            let counter = 0;
+            // Der Crawl ist vorbei, wenn die Warteschlange leer ist und keine
+            // erneuten Versuche mehr auf ihren Termin warten. Auch stop() muss
+            // das prüfen können: Es verwirft die wartenden Versuche.
+            this._checkFinished = () => {
+                if ( crawler.queueSize === 0 && this._scheduledRetries === 0 ) {
+                    resolve();
+                }
+            };
 
             // Wir erstellen eine Crawler-Instanz. Damit können wir den Prozess
             // flexibel steuern, auch während er schon gestartet ist.
@@ -202,7 +1469,25 @@ class VerleihnixCrawler {
                 // dem spread-Operator (...) mergen wir die Optionen in das
                 // aktuelle Objekt, überschreiben aber den Wert von "callback",
                 // wenn er angegeben ist.
-                ...this._config.crawlerOptions,
+                // Die eingebauten Wiederholungen des Crawlers schalten wir ab:
+                // Wir wiederholen fehlgeschlagene Anfragen selbst, damit dabei
+                // auch HTTP-Fehler wie 503 berücksichtigt werden.
+                retries: 0,
+
+                ...this._config.crawler,
+
+                // Auch die Meldungen der Library laufen durch unseren Logger.
+                logger: this._logger.forCrawler(),
+
+                // Den Abstand zwischen den Anfragen hält der Throttle ein, je
+                // Host. Die Ratenbegrenzung der Library würde nur eine
+                // Verbindung auf einmal erlauben. Antworten aus dem Cache
+                // brauchen ohnehin keine.
+                rateLimit: 0,
+
+                // Über diesen Haken drosseln wir Anfragen, halten sie an oder
+                // verwerfen sie.
+                preRequest: this._beforeRequest.bind( this ),
 
                 // Anstatt das Callback von unserem Parameter direkt zu
                 // übergeben, verpacken wir es in unser eigenes, übergeordnetes
@@ -210,61 +1495,478 @@ class VerleihnixCrawler {
                 // Diese Funktion wird für jede gecrawlte URL aufgerufen, wenn
                 // wir eine Antwort vom Server erhalten haben.
                 callback: async ( error, response, done ) => {
-                    this._writeLog(
-                        `Received response for "${ response.request.uri.href }"`,
+                    const url = response.options.uri;
+
+                    // Wir melden uns beim Crawler: Wir haben die aktuelle
+                    // Antwort bearbeitet und sind fertig. Wenn der Crawler
+                    // keine weiteren Links mehr hat, können wir das Promise
+                    // erfüllen: Wir sind fertig.
+                    // Warten noch erneute Versuche auf ihren Termin, sind wir
+                    // allerdings noch nicht fertig.
+                    const finish = () => {
+                        done();
+
+                        this._reportProgress( crawler );
+                        this._checkFinished();
+                    };
+
+                    // Die Verbindung zum Host ist wieder frei. Am Ergebnis
+                    // misst der Throttle, wie gut der Server mithält.
+                    this._throttle.release( url, {
+                        status:     error ? null : response.statusCode,
+                        retryAfter: this._failures.parseRetryAfter(
+                            response.headers && response.headers[ 'retry-after' ],
+                        ),
+                    } );
+                    this._proxies.release( url, { status: error ? null : response.statusCode } );
+
+                    // Ist der Crawl angehalten, bearbeiten wir auch Antworten,
+                    // die schon angekommen sind, erst danach. Ist er beendet,
+                    // verwerfen wir sie; ihre URLs bleiben in der Frontier
+                    // offen.
+                    await this._waitWhilePaused();
+
+                    if ( this._stopped ) {
+                        return finish();
+                    }
+
+                    this._logger.debug(
+                        `Received response for "${ url }"`,
+                        { url, status: response.statusCode },
                     );
 
-                    // Wenn ein Fehler aufgetreten ist, bringt es erst gar
-                    // nichts unser callback aufzurufen - wir brechen direkt ab.
-                    if ( error ) {
-                        this._writeLog(
-                            `An error occurred during crawling: ${ error }`,
-                        );
+                    // Kommt die Antwort aus dem Cache, setzen wir Status und
+                    // Header so ein, wie wir sie aufgezeichnet haben.
+                    if ( response.options.cached ) {
+                        response.statusCode = response.options.cached.status;
+                        response.headers    = response.options.cached.headers;
+                    }
 
-                        return reject( error );
+                    if ( this._cache.isRecording && !error ) {
+                        await this._record( response );
                     }
 
-                    // Wir zählen den Zähler hoch: Die Antwort muss erfolgreich
-                    // gewesen sein, sonst wären wir im Error-Handler angekommen
-                    counter++;
+                    this._stats.recordResponse( response.statusCode );
 
-                    this._writeLog(
-                        `+++++++++++++++++++++ Request ${ counter } +++++++++++++++++++++++++++`,
-                    );
+                    // Netzwerkfehler und HTTP-Fehler behandeln wir für jede URL
+                    // einzeln. Vorübergehende Fehler versuchen wir später noch
+                    // einmal; die Antwort ist damit für jetzt erledigt.
+                    // Eine Seite, die sich seit dem letzten Lauf nicht geändert
+                    // hat, ist kein Fehler.
+                    const failure = this._isNotModified( response )
+                                    ? null
+                                    : this._failures.classify( error, response );
 
-                    // Wenn kein Fehler aufgetreten ist, rufen wir das
-                    // ursprüngliche Callback auf und übergeben ihm die
-                    // Crawler-Instanz und die Antwort vom Server.
-                    await callback( crawler, response );
+                    // Eine abgespielte Antwort ändert sich nicht, wenn wir es
+                    // noch einmal versuchen.
+                    if (
+                        failure &&
+                        !this._cache.isReplaying &&
+                        this._failures.shouldRetry( failure, response.options.attempt || 1 )
+                    ) {
+                        this._scheduleRetry( crawler, response, failure );
 
-                    // Wir melden uns beim Crawler: Wir haben die aktuelle
-                    // Antwort bearbeitet und sind fertig.
-                    done();
+                        return finish();
+                    }
+
+                    // Bilder haben mit dem Parser nichts zu tun.
+                    if ( response.options.asset ) {
+                        await this._handleAsset( response, failure );
+
+                        return finish();
+                    }
 
-                    // Wenn der Crawler keine weiteren Links mehr hat, können
-                    // wir das Promise erfüllen: Wir sind fertig.
-                    if ( crawler.queueSize === 0 ) {
-                        return resolve();
+                    // Wir zählen den Zähler hoch und zeichnen auf, wie viele
+                    // Seiten wir schon bearbeitet haben - erfolgreich oder
+                    // nicht.
+                    this._counter++;
+
+                    this._logger.debug( `Processing page ${ this._counter }: "${ url }"` );
+
+                    // Eine fehlgeschlagene Seite braucht der Parser gar nicht
+                    // erst zu sehen. Andernfalls rufen wir das ursprüngliche
+                    // Callback auf und übergeben ihm die Crawler-Instanz und die
+                    // Antwort vom Server. Kommt der Parser mit einer Seite nicht
+                    // zurecht, ist nur diese eine Seite verloren.
+                    let pageFailure = failure;
+
+                    if ( failure ) {
+                        this._recordFailure( response, 'page', failure );
+                    } else {
+                        try {
+                            await callback( crawler, response );
+                        } catch ( parserError ) {
+                            pageFailure = {
+                                status:    response.statusCode,
+                                reason:    `Parser error: ${ parserError.message }`,
+                                transient: false,
+                            };
+
+                            this._recordFailure( response, 'page', pageFailure );
+                        }
+                    }
+
+                    // Die URL ist vollständig bearbeitet, ihre Ergebnisse sind
+                    // im Katalog. Bei einem Neustart brauchen wir sie nicht
+                    // noch einmal abzurufen.
+                    this._frontier.complete( url );
+
+                    this.emit( 'page', {
+                        url,
+                        status: response.statusCode || null,
+                        failed: pageFailure !== null,
+                    } );
+
+                    // In regelmäßigen Abständen sichern wir den Zustand, damit
+                    // wir nach einem Absturz nicht von vorne beginnen müssen.
+                    // Klappt das einmal nicht, crawlen wir trotzdem weiter;
+                    // der nächste Checkpoint holt es nach.
+                    if ( this._counter % this._config.checkpointInterval === 0 ) {
+                        try {
+                            await this._saveCheckpoint();
+                        } catch ( checkpointError ) {
+                            this._logger.warn( `Could not save checkpoint: ${ checkpointError.message }` );
+                        }
                     }
+
+                    finish();
                 },
             } );
 
-            // Der Crawler funktioniert, indem er eine Warteschlange von URLs
-            // abarbeitet. In unserer Implementierung reihen wir immer neue
-            // Seiten in die Warteschlange ein, wenn wir sie auf den
-            // Ergebnisseiten finden. Um diesen Prozess zu starten, übergeben
-            // wir dem Crawler hier die Start-URL, auf der wir mit dem Crawling
-            // anfangen, und von der wir alle folgenden URLs ableiten.
-            const startUrl = this._createUrlForPath(
-                this._config.startUrl,
+            // Bevor wir die erste URL abrufen, laden wir die robots.txt und
+            // gegebenenfalls die Sitemaps. Erst dann füllen wir die
+            // Warteschlange.
+            this._seed( crawler ).catch( reject );
+        } );
+    }
+
+    /**
+     * Füllt die Warteschlange zum ersten Mal.
+     *
+     * @param  {Crawler} crawler
+     * @return {Promise<void>}
+     * @private
+     */
+    async _seed( crawler ) {
+        await this._loadRobotsTxt( crawler );
+
+        // Der Crawler funktioniert, indem er eine Warteschlange von URLs
+        // abarbeitet. In unserer Implementierung reihen wir immer neue
+        // Seiten in die Warteschlange ein, wenn wir sie auf den
+        // Ergebnisseiten finden. Um diesen Prozess zu starten, übergeben
+        // wir dem Crawler hier die Start-URL, auf der wir mit dem Crawling
+        // anfangen, und von der wir alle folgenden URLs ableiten.
+        // Setzen wir einen abgebrochenen Crawl fort, übernehmen wir
+        // stattdessen alle URLs, die damals noch ausstanden.
+        const pending = this._frontier.pending;
+
+        // Setzen wir einen Crawl fort, fehlen vielleicht noch Bilder von
+        // Produkten, die wir schon im Katalog haben.
+        [ ...this._catalogue ].forEach( product => this._queueImages(
+            crawler,
+            product,
+        ) );
+
+        if ( pending.size > 0 ) {
+            const urls   = [ ...pending ];
+            const queued = urls.filter( url => {
+                if ( this._queue( crawler, this._createRequest( url ) ) ) {
+                    return true;
+                }
+
+                this._frontier.complete( url );
+
+                return false;
+            } );
+
+            this._logger.info( `Queued ${ queued.length } of ${ urls.length } pending URLs` );
+
+            // Wurde keine URL angenommen, etwa weil keine davon im HTTP-Cache
+            // liegt, meldet auch keine Antwort das Ende des Crawls.
+            if ( queued.length === 0 ) {
+                this._checkFinished();
+            }
+
+            return;
+        }
+
+        // Ein fortgesetzter Crawl ohne offene URLs war schon fertig, als der
+        // Checkpoint gespeichert wurde. Die Start-URL noch einmal einzureihen
+        // wäre zwecklos: Die Frontier kennt sie schon.
+        if ( this._frontier.completed.size > 0 ) {
+            this._logger.info( 'The checkpoint has no pending URLs, nothing left to crawl' );
+            this._checkFinished();
+
+            return;
+        }
+
+        // Die Sitemaps laden wir vollständig, bevor wir die erste URL in die
+        // Warteschlange legen. Sonst könnte der Crawler fertig werden, während
+        // wir noch auf eine Sitemap warten.
+        const sitemapUrls = this._config.sitemaps
+                            ? await this._loadSitemaps( crawler )
+                            : [];
+
+        const startUrl = this._createUrlForPath(
+            this._config.startUrl,
+        );
+
+        if ( this._cache.isReplaying && !this._cache.has( startUrl.toString() ) ) {
+            throw new Error(
+                `Start URL not cached: There is no recorded response for ` +
+                `"${ startUrl }" in the HTTP cache. Record a crawl with the ` +
+                'same "startUrl" first.',
+            );
+        }
+
+        if ( !this._robots.isAllowed( startUrl.toString() ) ) {
+            throw new Error(
+                `Start URL disallowed: "${ startUrl }" is excluded by the ` +
+                'robots.txt of the target host. Choose another "startUrl".',
+            );
+        }
+
+        // Indem wir dem Crawler die Stat-URL übergeben, wird die
+        // Warteschlange gestartet. Go!
+        // Liegt die Start-URL selbst außerhalb des Crawling-Bereichs, gäbe
+        // es nichts zu tun - und der Crawler würde niemals fertig werden.
+        if ( !this._enqueue( crawler, startUrl.toString() ) ) {
+            throw new Error(
+                `Start URL out of scope: "${ startUrl }" is excluded by ` +
+                'the "scope" rules in the configuration file. Adjust the ' +
+                '"include" and "exclude" patterns, or choose another ' +
+                '"startUrl".',
             );
+        }
 
-            // Indem wir dem Crawler die Stat-URL übergeben, wird die
-            // Warteschlange gestartet. Go!
-            crawler.queue( startUrl.toString() );
+        this._logger.info( `Queued start URL "${ startUrl }"` );
 
-            this._writeLog( `Queued start URL "${ startUrl }"` );
-        } );
+        // Über die Sitemaps finden wir auch Produkte, auf die keine Auflistung
+        // verlinkt. Auch sie gehen durch die Frontier und die robots.txt.
+        if ( sitemapUrls.length > 0 ) {
+            const queued = sitemapUrls.filter( url => this._enqueue(
+                crawler,
+                url,
+            ) );
+
+            this._logger.info( `Queued ${ queued.length } URLs from sitemaps` );
+        }
+    }
+
+    /**
+     * Lädt die robots.txt der Zielseite. Verlangt sie eine längere Pause
+     * zwischen zwei Anfragen als unser "rateLimit", halten wir uns daran.
+     * Gibt es keine robots.txt (4xx), ist alles erlaubt; kann der Server sie
+     * nicht ausliefern (5xx, Netzwerkfehler), ist nach RFC 9309 alles
+     * verboten.
+     *
+     * @param  {Crawler} crawler
+     * @return {Promise<void>}
+     * @private
+     */
+    async _loadRobotsTxt( crawler ) {
+        if ( !this._config.robotsTxt ) {
+            return;
+        }
+
+        const url        = this._createUrlForPath( '/robots.txt' ).toString();
+        const userAgents = [].concat( this._config.crawler.userAgent || [] );
+
+        this._logger.info( `Fetching "${ url }"` );
+
+        try {
+            const response = await this._fetch( crawler, url );
+            const status   = response.statusCode;
+
+            if ( status >= 200 && status < 300 ) {
+                this._robots = new RobotsTxt( response.body, userAgents );
+            } else if ( status >= 400 && status < 500 ) {
+                this._logger.info( `No robots.txt found (HTTP ${ status }), all URLs are allowed` );
+            } else {
+                this._logger.warn( `Could not fetch robots.txt (HTTP ${ status }), no URLs are allowed` );
+                this._robots = RobotsTxt.disallowAll();
+            }
+        } catch ( error ) {
+            this._logger.warn( `Could not fetch robots.txt (${ error }), no URLs are allowed` );
+            this._robots = RobotsTxt.disallowAll();
+        }
+
+        const crawlDelay = this._robots.crawlDelay;
+        const rateLimit  = this._config.crawler.rateLimit || 0;
+
+        if ( crawlDelay !== null && crawlDelay * 1000 > rateLimit && !this._cache.isReplaying ) {
+            this._throttle.setMinDelay( crawlDelay * 1000 );
+
+            this._logger.info(
+                `Using the crawl delay of ${ crawlDelay }s from robots.txt ` +
+                `instead of the configured rate limit of ${ rateLimit }ms`,
+            );
+        }
+    }
+
+    /**
+     * Lädt alle Sitemaps, die in der robots.txt stehen, oder sonst
+     * "/sitemap.xml". Sitemap-Indizes lösen wir dabei auf, bis wir
+     * "maxSitemaps" Sitemaps geladen haben.
+     *
+     * @param  {Crawler} crawler
+     * @return {Promise<string[]>} Ein Promise mit allen URLs aus den Sitemaps.
+     * @private
+     */
+    async _loadSitemaps( crawler ) {
+        const queue = this._robots.sitemaps.length > 0
+                      ? this._robots.sitemaps
+                      : [ this._createUrlForPath( '/sitemap.xml' ).toString() ];
+        const seen  = new Set();
+        const urls  = [];
+
+        while ( queue.length > 0 && seen.size < this._config.maxSitemaps ) {
+            const url = queue.shift();
+
+            if ( seen.has( url ) ) {
+                continue;
+            }
+
+            seen.add( url );
+
+            this._logger.debug( `Fetching sitemap "${ url }"` );
+
+            // Eine Sitemap, die sich nicht laden lässt, überspringen wir: Wir
+            // finden die Seiten ja auch über die Auflistungen.
+            try {
+                const response = await this._fetch( crawler, url, { encoding: null } );
+
+                if ( response.statusCode < 200 || response.statusCode >= 300 ) {
+                    throw new Error( `HTTP ${ response.statusCode }` );
+                }
+
+                const { sitemaps, urls: pageUrls } = this._sitemap.parse( response.body );
+
+                queue.push( ...sitemaps );
+                urls.push( ...pageUrls );
+            } catch ( error ) {
+                this._logger.warn( `Could not read sitemap "${ url }": ${ error.message }` );
+            }
+        }
+
+        this._logger.info( `Found ${ urls.length } URLs in ${ seen.size } sitemaps` );
+
+        return urls;
+    }
+
+    /**
+     * Ruft eine URL direkt ab, an der Warteschlange vorbei, aber mit denselben
+     * Optionen wie alle anderen Anfragen.
+     *
+     * @param  {Crawler}             crawler
+     * @param  {string}              url
+     * @param  {Record<string, any>} options
+     * @return {Promise<CrawlerRequestResponse>}
+     * @private
+     */
+    async _fetch( crawler, url, options = {} ) {
+        if ( this._cache.isReplaying ) {
+            return this._fetchFromCache( url );
+        }
+
+        const response = await this._direct( crawler, url, options );
+
+        if ( this._cache.isRecording ) {
+            await this._record( response );
+        }
+
+        return response;
+    }
+
+    /**
+     * Schickt eine Anfrage über den ProxyPool hinaus. Scheitert sie am Proxy,
+     * ohne Verbindung oder mit HTTP 407, versuchen wir es über den nächsten,
+     * bis wir jeden Proxy einmal versucht haben.
+     *
+     * @param  {Crawler}             crawler
+     * @param  {string}              url
+     * @param  {Record<string, any>} options
+     * @return {Promise<CrawlerRequestResponse>}
+     * @private
+     */
+    async _direct( crawler, url, options = {} ) {
+        const tried = [];
+
+        while ( true ) {
+            const proxy = this._proxies.assign( url, tried );
+
+            const { error, response } = await new Promise( resolve => crawler.direct( {
+                uri:      url,
+                jQuery:   false,
+                ...proxy ? { proxy } : {},
+                ...options,
+                callback: ( error, response ) => resolve( { error, response } ),
+            } ) );
+
+            const status = error ? null : response.statusCode;
+
+            this._proxies.release( url, { status } );
+
+            tried.push( proxy );
+
+            if ( !proxy || ( status !== null && status !== 407 ) || tried.length >= this._proxies.size ) {
+                if ( error ) {
+                    throw error;
+                }
+
+                return response;
+            }
+
+            this._logger.warn(
+                `Could not fetch "${ url }" through proxy ${ ProxyPool.mask( proxy ) } ` +
+                `(${ error ? error.message : `HTTP ${ status }` }), trying the next proxy`,
+                { url, proxy: ProxyPool.mask( proxy ) },
+            );
+        }
+    }
+
+    /**
+     * Liefert eine aufgezeichnete Antwort für "_fetch". Fehlt sie, tun wir so,
+     * als gäbe es die Datei nicht, also wie bei HTTP 404.
+     *
+     * @param  {string} url
+     * @return {CrawlerRequestResponse}
+     * @private
+     */
+    _fetchFromCache( url ) {
+        const cached = this._cache.load( url );
+
+        if ( !cached ) {
+            this._logger.warn( `Cache miss for "${ url }", treating it as HTTP 404`, { url } );
+
+            return { statusCode: 404, headers: {}, body: '', options: { uri: url } };
+        }
+
+        return {
+            statusCode: cached.status,
+            headers:    cached.headers,
+            body:       cached.body,
+            options:    { uri: url },
+        };
+    }
+
+    /**
+     * Zeichnet eine Antwort im Cache auf. Schlägt das fehl, ist nur die
+     * Aufzeichnung lückenhaft; der Crawl läuft weiter.
+     *
+     * @param  {CrawlerRequestResponse} response
+     * @return {Promise<void>}
+     * @private
+     */
+    async _record( response ) {
+        try {
+            await this._cache.record( response );
+        } catch ( error ) {
+            this._logger.warn(
+                `Could not record response for "${ response.options.uri }": ${ error.message }`,
+                { url: response.options.uri },
+            );
+        }
     }
 
     /**
@@ -280,23 +1982,56 @@ class VerleihnixCrawler {
 
         return new URL( path, `${ scheme }://${ hostname }` );
     }
+}
 
-    /**
-     * Schreibt eine Zeile auf die Konsole.
-     *
-     * @param lines
-     * @private
-     */
-    _writeLog( ...lines ) {
-        const date      = new Date();
-        const timestamp = date.toDateString() + ' ' +
-                          date.getUTCHours() + ':' +
-                          date.getUTCMinutes() + ':' +
-                          date.getUTCSeconds() + '.' +
-                          date.getUTCMilliseconds();
+/**
+ * @typedef {Object} CrawlResult
+ * @property {number}   pages       Anzahl der bearbeiteten Seiten
+ * @property {number}   products    Anzahl der gefundenen Produkte
+ * @property {number}   failures    Anzahl der endgültig fehlgeschlagenen URLs
+ * @property {number}   invalid     Anzahl der ungültigen Produkte in der Quarantäne
+ * @property {string[]} outputFiles Die geschriebenen Ausgabedateien
+ * @property {boolean}  stopped     Ob der Crawl vorzeitig beendet wurde
+ * @property {boolean}  healthy     Ob höchstens "maxInvalidRate" der Produkte ungültig waren
+ */
 
-        lines.map( line => console.log( `${ timestamp }\t${ line }` ) );
-    }
-}
+/**
+ * @typedef {Object} PageEvent
+ * @property {string}      url
+ * @property {number|null} status Der HTTP-Status; null bei einem Netzwerkfehler
+ * @property {boolean}     failed Ob die Seite endgültig fehlgeschlagen ist
+ */
+
+/**
+ * @typedef {Object} SkippedEvent
+ * @property {string} url
+ * @property {string} reason Warum die URL nicht abgerufen wird
+ */
+
+/**
+ * @typedef {Object} InvalidEvent
+ * @property {string}              url        Die URL der Seite
+ * @property {Record<string, any>} product    Das ungültige Produkt
+ * @property {Violation[]}         violations Die verletzten Regeln
+ */
+
+/**
+ * @typedef {Object} ErrorEvent
+ * @property {string}      url
+ * @property {string}      type     "page" oder "image"
+ * @property {number|null} status
+ * @property {string}      reason
+ * @property {number}      attempts Anzahl der Versuche
+ */
+
+/**
+ * @typedef {Object} DoneEvent
+ * @property {number}                pages    Anzahl der bearbeiteten Seiten
+ * @property {Record<string, any>[]} products Alle Produkte mit allen ihren Kategorien
+ * @property {number}                failures Anzahl der endgültig fehlgeschlagenen URLs
+ * @property {number}                invalid  Anzahl der ungültigen Produkte in der Quarantäne
+ * @property {boolean}               stopped  Ob der Crawl vorzeitig beendet wurde
+ * @property {Error|null}            error    Der Fehler, an dem der Crawl gescheitert ist
+ */
 
 module.exports = VerleihnixCrawler;
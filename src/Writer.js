@@ -1,10 +1,13 @@
-const { resolve }                      = require( 'path' );
-const { mkdir, appendFile, writeFile } = require( 'fs' ).promises;
+const { resolve }          = require( 'path' );
+const { mkdir, writeFile } = require( 'fs' ).promises;
+const { createFormat }     = require( './formats' );
+const Logger               = require( './Logger' );
 
 /**
  * Writer
  * ======
- * Der Writer schreibt eine CSV-Datei mit allen Ergebnissen.
+ * Der Writer schreibt alle Ergebnisse in die Ausgabedateien. Für jedes
+ * konfigurierte Ausgabeformat entsteht eine eigene Datei.
  */
 class Writer {
 
@@ -12,85 +15,133 @@ class Writer {
      * Erstellt eine neue Writer-Instanz.
      *
      * @param {Record<string, any>} config
+     * @param {Logger|null}         logger
      */
-    constructor( config ) {
+    constructor( config, logger = null ) {
         this._config = {
-            ...config,
+            outputFormats:  [ 'csv' ],
             outputFilename: 'output',
+            ...config,
         };
+
+        this._logger = logger || new Logger( this._config );
+
+        // Die Formate können als Liste oder als kommagetrennter Text angegeben
+        // werden, etwa "csv,jsonl" auf der Kommandozeile.
+        const formatNames = Array.isArray( this._config.outputFormats )
+                            ? this._config.outputFormats
+                            : String( this._config.outputFormats ).split( ',' );
+
+        // Wir erstellen die Formate direkt hier: Ist ein Format unbekannt,
+        // erfahren wir das so vor dem Crawl, und nicht erst danach.
+        this._formats = formatNames
+            .map( name => name.trim() )
+            .filter( name => name !== '' )
+            .map( name => createFormat( name, this._config ) );
     }
 
     /**
-     * Initialisiert den Writer.
+     * Initialisiert den Writer. Wenn ein bestehender Basispfad übergeben wird,
+     * etwa beim Fortsetzen eines abgebrochenen Crawls, wird wieder in diese
+     * Dateien geschrieben.
      *
+     * @param  {string|null} existingBasePath
      * @return {Promise<void>}
      */
-    async initialize() {
+    async initialize( existingBasePath = null ) {
 
         // Als erstes stellen wir sicher, dass unser Ausgabepfad existiert
         await this._createOutputDirectoryIfMissing();
 
         const timestamp = ( new Date ).toUTCString();
 
-        this._filePath = resolve(
+        // Alle Ausgabedateien eines Laufs teilen sich denselben Namen und
+        // unterscheiden sich nur in der Dateiendung.
+        this._basePath = existingBasePath || resolve(
             this._config.outputPath,
-            `${ this._config.outputFilename }-${ timestamp }.csv`,
+            `${ this._config.outputFilename }-${ timestamp }`,
         );
+    }
+
+    /**
+     * Der vollständige Pfad der Ausgabedateien, ohne Dateiendung.
+     *
+     * @return {string|undefined}
+     */
+    get basePath() {
+        return this._basePath;
+    }
+
+    /**
+     * Die vollständigen Pfade aller Ausgabedateien.
+     *
+     * @return {string[]}
+     */
+    get filePaths() {
+        return this._formats.map( format => this._getFilePath( format ) );
+    }
+
+    /**
+     * Verbindet den Writer mit einem Crawler: Ist der Crawl vorbei, schreibt
+     * er alle Produkte in die Ausgabedateien - auch wenn der Crawl vorzeitig
+     * beendet wurde oder fehlgeschlagen ist.
+     *
+     * @param  {VerleihnixCrawler} crawler
+     * @return {Writer}
+     */
+    attach( crawler ) {
+        crawler.on( 'done', ( { products } ) => this.write( products ) );
 
-        await this._writeHeaders();
+        return this;
     }
 
     /**
-     * Schreibt die CSV-Header an den Anfang der Datei. Dadurch können
-     * Tabellen-Programme auch die Überschriften anzeigen.
-     * Die Header müssen in der selben Reihenfolge geschrieben werden, wie sie
-     * später auch für die Ergebnisse verwendet werden.
+     * Diese Methode schreibt alle Ergebnisse des Crawlers in die
+     * Ausgabedateien. Bestehende Dateien werden dabei überschrieben.
      *
+     * @param  {Record<string, any>[]} results
      * @return {Promise<void>}
-     * @private
      */
-    async _writeHeaders() {
-        await writeFile(
-            this._filePath,
-            [
-                'articleNumber',
-                'productName',
-                'productImage',
-                'pricePerDay',
-                'description',
-                'technicalDetails',
-                'link',
-            ].join( ';' ) + '\n',
-        );
+    async write( results ) {
+        this._logger.info( `Writing ${ results.length } results` );
+
+        for ( const format of this._formats ) {
+            const filePath = this._getFilePath( format );
+
+            await writeFile( filePath, format.serialize( results ) );
+
+            this._logger.info( `Wrote "${ filePath }"`, { file: filePath } );
+        }
     }
 
     /**
-     * Diese Methode schreibt ein Ergebnis des Crawlers in eine Ausgabedatei.
+     * Schreibt eine zusätzliche Datei zu diesem Lauf, etwa einen Bericht. Sie
+     * bekommt denselben Namen wie die Ausgabedateien, nur mit einer eigenen
+     * Dateiendung.
      *
-     * @param {any} result
+     * @param  {string} extension
+     * @param  {string} contents
+     * @return {Promise<string>} Ein Promise mit dem vollständigen Dateipfad.
      */
-    async write( result ) {
-
-        // Mit appendFile wird der neue Datensatz ans Ende der Datei angehängt
-        await appendFile(
-            this._filePath,
-
-            // In CSV-Dateien müssen Anführungszeichen um Text mit Leerzeichen
-            // verwendet werden. Die einfachste Methode, das zu erreichen, ist
-            // den Text als JSON zu konvertieren.
-            [
-                JSON.stringify( result.articleNumber ),
-                JSON.stringify( result.productName ),
-                JSON.stringify( result.productImage ),
-                JSON.stringify( result.pricePerDay ),
-                JSON.stringify( result.description ),
-                JSON.stringify( result.technicalDetails ),
-                JSON.stringify( result.link ),
-
-                // Anschließend werden alle Werte mit einem Semikolon verbunden
-                // und Zeilenumbrüche escaped.
-            ].join( ';' ).replace( '\n', '\\n' ) + '\n',
-        );
+    async writeAttachment( extension, contents ) {
+        const filePath = `${ this._basePath }.${ extension }`;
+
+        await writeFile( filePath, contents );
+
+        this._logger.info( `Wrote "${ filePath }"`, { file: filePath } );
+
+        return filePath;
+    }
+
+    /**
+     * Baut den Pfad der Ausgabedatei für ein Format.
+     *
+     * @param  {OutputFormat} format
+     * @return {string}
+     * @private
+     */
+    _getFilePath( format ) {
+        return `${ this._basePath }.${ format.extension }`;
     }
 
     /**
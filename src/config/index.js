@@ -0,0 +1,475 @@
+const { readFile }                            = require( 'fs' ).promises;
+const { basename, dirname, extname, resolve } = require( 'path' );
+const schema                                  = require( './schema' );
+
+/**
+ * Der Pfad der Konfigurationsdatei, wenn keine andere angegeben wird.
+ *
+ * @type {string}
+ */
+const defaultConfigPath = resolve( __dirname, '..', '..', 'config.json' );
+
+/**
+ * Das Präfix der Umgebungsvariablen, die die Konfiguration überschreiben.
+ *
+ * @type {string}
+ */
+const environmentPrefix = 'VERLEIHNIX_';
+
+/**
+ * Lädt die Konfiguration. Sie setzt sich aus mehreren Ebenen zusammen, von
+ * denen jede die vorherige überschreibt:
+ *
+ * 1. Die Standardwerte aus dem Schema
+ * 2. Die Konfigurationsdatei, standardmäßig "config.json"
+ * 3. Eine optionale lokale Datei daneben, etwa "config.local.json"
+ * 4. Umgebungsvariablen wie "VERLEIHNIX_OUTPUT_PATH"
+ * 5. Die Optionen der Kommandozeile
+ *
+ * Jede Ebene wird gegen das Schema geprüft, bevor sie übernommen wird.
+ *
+ * @param  {Object}              [options]
+ * @param  {string}              [options.path]        Pfad der Konfigurationsdatei
+ * @param  {Record<string, any>} [options.overrides]   Werte von der Kommandozeile
+ * @param  {Record<string, any>} [options.environment] Die Umgebungsvariablen
+ * @return {Promise<{ config: Record<string, any>, sources: string[] }>}
+ * @throws Wenn eine Datei nicht gelesen werden kann oder die Konfiguration
+ *         ungültig ist.
+ */
+async function loadConfiguration( {
+    path        = defaultConfigPath,
+    overrides   = {},
+    environment = process.env,
+} = {} ) {
+    const configPath = resolve( path );
+    const localPath  = resolve(
+        dirname( configPath ),
+        `${ basename( configPath, extname( configPath ) ) }.local${ extname( configPath ) }`,
+    );
+
+    const errors = [];
+    const layers = [
+        { source: configPath, values: await readConfigFile( configPath ) },
+        { source: localPath, values: await readConfigFile( localPath, true ) },
+        { source: 'environment', values: readEnvironment( environment, errors ) },
+        { source: 'command line', values: overrides },
+    ].filter( ( { values } ) => values !== null );
+
+    layers.forEach( ( { source, values } ) => errors.push( ...validate( values, source ) ) );
+
+    const config = layers.reduce(
+        ( merged, { values } ) => merge( merged, values ),
+        getDefaults(),
+    );
+
+    // Pflichtangaben können in jeder Ebene stehen; fehlen dürfen sie erst am
+    // Ende.
+    Object.entries( schema )
+          .filter( ( [ key, { required } ] ) => required && !config[ key ] )
+          .forEach( ( [ key, { description } ] ) => errors.push(
+              `The "${ key }" key is missing (${ description }).`,
+          ) );
+
+    if ( errors.length > 0 ) {
+        throw new Error(
+            'Invalid configuration:\n' +
+            errors.map( error => `  - ${ error }` ).join( '\n' ),
+        );
+    }
+
+    return {
+        config,
+        sources: layers.map( ( { source } ) => source ),
+    };
+}
+
+/**
+ * Liefert die Standardwerte aller Schlüssel aus dem Schema.
+ *
+ * @return {Record<string, any>}
+ */
+function getDefaults() {
+    return Object.fromEntries( Object
+        .entries( schema )
+        .filter( ( [ , definition ] ) => 'default' in definition )
+        .map( ( [ key, definition ] ) => [ key, clone( definition.default ) ] ) );
+}
+
+/**
+ * Prüft Konfigurationswerte gegen das Schema.
+ *
+ * @param  {Record<string, any>} values
+ * @param  {string}              source Woher die Werte stammen, für die Fehlermeldung
+ * @return {string[]} Alle Fehler, die gefunden wurden.
+ */
+function validate( values, source = 'configuration' ) {
+    const errors = [];
+
+    validateObject( values, schema, '', errors );
+
+    return errors.map( error => `${ source }: ${ error }` );
+}
+
+/**
+ * Liest eine Konfigurationsdatei. Optionale Dateien dürfen fehlen; dann
+ * erhalten wir null.
+ *
+ * @param  {string}  path
+ * @param  {boolean} optional
+ * @return {Promise<Record<string, any>|null>}
+ * @private
+ */
+async function readConfigFile( path, optional = false ) {
+    let contents;
+
+    try {
+        contents = await readFile( path, 'utf-8' );
+    } catch ( error ) {
+        if ( optional && error.code === 'ENOENT' ) {
+            return null;
+        }
+
+        throw new Error( `Could not read configuration file "${ path }": ${ error.message }` );
+    }
+
+    try {
+        return JSON.parse( contents );
+    } catch ( error ) {
+        throw new Error( `Configuration file "${ path }" is not valid JSON: ${ error.message }` );
+    }
+}
+
+/**
+ * Liest die Umgebungsvariablen, die zur Konfiguration gehören. Der Name
+ * ergibt sich aus dem Schlüssel: "outputPath" wird zu
+ * "VERLEIHNIX_OUTPUT_PATH". Listen können kommagetrennt oder als JSON angegeben
+ * werden, Objekte nur als JSON.
+ *
+ * @param  {Record<string, any>} environment
+ * @param  {string[]}            errors      Hier landen unbekannte Variablen.
+ * @return {Record<string, any>}
+ * @private
+ */
+function readEnvironment( environment, errors ) {
+    const names  = Object.fromEntries( Object
+        .keys( schema )
+        .map( key => [ toEnvironmentName( key ), key ] ) );
+    const values = {};
+
+    Object.entries( environment )
+          .filter( ( [ name ] ) => name.startsWith( environmentPrefix ) )
+          .forEach( ( [ name, value ] ) => {
+              const key = names[ name ];
+
+              if ( !key ) {
+                  const suggestion = suggest( name, Object.keys( names ) );
+
+                  errors.push(
+                      `environment: Unknown variable "${ name }".` +
+                      ( suggestion ? ` Did you mean "${ suggestion }"?` : '' ),
+                  );
+
+                  return;
+              }
+
+              values[ key ] = parseEnvironmentValue( value, schema[ key ] );
+          } );
+
+    return values;
+}
+
+/**
+ * Wandelt den Text einer Umgebungsvariable in den Typ aus dem Schema um. Was
+ * sich nicht umwandeln lässt, bleibt Text; die Prüfung meldet es dann.
+ *
+ * @param  {string}           value
+ * @param  {OptionDefinition} definition
+ * @return {any}
+ * @private
+ */
+function parseEnvironmentValue( value, definition ) {
+    const types = [].concat( definition.type );
+    const text  = value.trim();
+
+    if ( definition.nullable && ( text === '' || text === 'null' ) ) {
+        return null;
+    }
+
+    if ( types.includes( 'object' ) || ( types.includes( 'array' ) && text.startsWith( '[' ) ) ) {
+        try {
+            return JSON.parse( text );
+        } catch ( error ) {
+            return value;
+        }
+    }
+
+    if ( types.includes( 'array' ) && !types.includes( 'string' ) ) {
+        return text.split( ',' )
+                   .map( item => item.trim() )
+                   .filter( item => item !== '' )
+                   .map( item => ( definition.items === 'string' ? item : Number( item ) ) );
+    }
+
+    if ( types.includes( 'boolean' ) ) {
+        const booleans = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+        return text.toLowerCase() in booleans ? booleans[ text.toLowerCase() ] : value;
+    }
+
+    if ( types.includes( 'integer' ) || types.includes( 'number' ) ) {
+        return text !== '' && !Number.isNaN( Number( text ) ) ? Number( text ) : value;
+    }
+
+    return value;
+}
+
+/**
+ * Prüft alle Schlüssel eines Objekts gegen ihre Definitionen.
+ *
+ * @param {Record<string, any>}              values
+ * @param {Record<string, OptionDefinition>} definitions
+ * @param {string}                           prefix Der Pfad des Objekts, etwa "crawler."
+ * @param {string[]}                         errors
+ * @private
+ */
+function validateObject( values, definitions, prefix, errors ) {
+    Object.entries( values ).forEach( ( [ key, value ] ) => {
+        const definition = definitions[ key ];
+
+        if ( !definition ) {
+            const suggestion = suggest( key, Object.keys( definitions ) ) ||
+                               suggestNested( key, definitions );
+
+            errors.push(
+                `Unknown key "${ prefix }${ key }".` +
+                ( suggestion ? ` Did you mean "${ prefix }${ suggestion }"?` : '' ),
+            );
+
+            return;
+        }
+
+        validateValue( value, definition, `${ prefix }${ key }`, errors );
+    } );
+}
+
+/**
+ * Prüft einen einzelnen Wert gegen seine Definition.
+ *
+ * @param {any}              value
+ * @param {OptionDefinition} definition
+ * @param {string}           name
+ * @param {string[]}         errors
+ * @private
+ */
+function validateValue( value, definition, name, errors ) {
+    if ( value === null ) {
+        if ( !definition.nullable ) {
+            errors.push( `"${ name }" must not be null.` );
+        }
+
+        return;
+    }
+
+    const types = [].concat( definition.type );
+
+    if ( !types.some( type => hasType( value, type ) ) ) {
+        errors.push(
+            `"${ name }" must be ${ types.map( withArticle ).join( ' or ' ) }, ` +
+            `got ${ JSON.stringify( value ) }.`,
+        );
+
+        return;
+    }
+
+    if ( definition.enum && !definition.enum.includes( value ) ) {
+        errors.push(
+            `"${ name }" must be one of ${ definition.enum.map( option => `"${ option }"` ).join( ', ' ) }, ` +
+            `got ${ JSON.stringify( value ) }.`,
+        );
+    }
+
+    if ( definition.min !== undefined && value < definition.min ) {
+        errors.push( `"${ name }" must be at least ${ definition.min }, got ${ value }.` );
+    }
+
+    if ( definition.max !== undefined && value > definition.max ) {
+        errors.push( `"${ name }" must be at most ${ definition.max }, got ${ value }.` );
+    }
+
+    if ( definition.items && Array.isArray( value ) ) {
+        value.forEach( ( item, index ) => validateValue(
+            item,
+            { type: definition.items },
+            `${ name }[${ index }]`,
+            errors,
+        ) );
+    }
+
+    if ( definition.properties && hasType( value, 'object' ) ) {
+        validateObject( value, definition.properties, `${ name }.`, errors );
+    }
+}
+
+/**
+ * @param  {any}    value
+ * @param  {string} type
+ * @return {boolean}
+ * @private
+ */
+function hasType( value, type ) {
+    switch ( type ) {
+        case 'integer':
+            return Number.isInteger( value );
+
+        case 'number':
+            return typeof value === 'number' && Number.isFinite( value );
+
+        case 'array':
+            return Array.isArray( value );
+
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray( value );
+
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * @param  {string} type
+ * @return {string}
+ * @private
+ */
+function withArticle( type ) {
+    return /^[aeiou]/.test( type ) ? `an ${ type }` : `a ${ type }`;
+}
+
+/**
+ * Sucht den bekannten Schlüssel, den jemand vermutlich gemeint hat: Einen,
+ * der sich nur in Groß- und Kleinschreibung oder in bis zu zwei Zeichen
+ * unterscheidet, oder der mit dem Schlüssel beginnt.
+ *
+ * @param  {string}   key
+ * @param  {string[]} candidates
+ * @return {string|null}
+ * @private
+ */
+function suggest( key, candidates ) {
+    const normalized = key.toLowerCase().replace( /[^a-z0-9]/g, '' );
+
+    const scored = candidates
+        .map( candidate => {
+
+            const other    = candidate.toLowerCase().replace( /[^a-z0-9]/g, '' );
+            const isPrefix = Math.min( normalized.length, other.length ) >= 4 &&
+                             ( normalized.startsWith( other ) || other.startsWith( normalized ) );
+
+            return {
+                candidate,
+                distance: isPrefix ? 0 : levenshtein( normalized, other ),
+            };
+        } )
+        .filter( ( { distance } ) => distance <= 2 )
+        .sort( ( a, b ) => a.distance - b.distance );
+
+    return scored.length > 0 ? scored[ 0 ].candidate : null;
+}
+
+/**
+ * Sucht einen Schlüssel, der auf der falschen Ebene steht: "rateLimit" gehört
+ * etwa nicht auf die oberste Ebene, sondern in "crawler".
+ *
+ * @param  {string}                           key
+ * @param  {Record<string, OptionDefinition>} definitions
+ * @return {string|null}
+ * @private
+ */
+function suggestNested( key, definitions ) {
+    const parent = Object
+        .entries( definitions )
+        .find( ( [ , { properties = {} } ] ) => suggest( key, Object.keys( properties ) ) );
+
+    return parent
+           ? `${ parent[ 0 ] }.${ suggest( key, Object.keys( parent[ 1 ].properties ) ) }`
+           : null;
+}
+
+/**
+ * Berechnet, wie viele Zeichen eingefügt, gelöscht oder ersetzt werden müssen,
+ * um einen Text in einen anderen umzuwandeln.
+ *
+ * @param  {string} a
+ * @param  {string} b
+ * @return {number}
+ * @private
+ */
+function levenshtein( a, b ) {
+    let previous = Array.from( { length: b.length + 1 }, ( _, index ) => index );
+
+    for ( let i = 1; i <= a.length; i++ ) {
+        const current = [ i ];
+
+        for ( let j = 1; j <= b.length; j++ ) {
+            current[ j ] = Math.min(
+                previous[ j ] + 1,
+                current[ j - 1 ] + 1,
+                previous[ j - 1 ] + ( a[ i - 1 ] === b[ j - 1 ] ? 0 : 1 ),
+            );
+        }
+
+        previous = current;
+    }
+
+    return previous[ b.length ];
+}
+
+/**
+ * Führt zwei Ebenen der Konfiguration zusammen. Objekte mit bekannten
+ * Schlüsseln, etwa "crawler", werden dabei zusammengeführt, statt sie ganz zu
+ * ersetzen: So kann eine lokale Datei nur "crawler.rateLimit" ändern.
+ *
+ * @param  {Record<string, any>} base
+ * @param  {Record<string, any>} values
+ * @return {Record<string, any>}
+ * @private
+ */
+function merge( base, values ) {
+    const merged = { ...base };
+
+    Object.entries( values ).forEach( ( [ key, value ] ) => {
+        const definition = schema[ key ];
+
+        merged[ key ] = definition && definition.properties &&
+                        hasType( value, 'object' ) && hasType( base[ key ], 'object' )
+                        ? { ...base[ key ], ...value }
+                        : value;
+    } );
+
+    return merged;
+}
+
+/**
+ * @param  {string} key
+ * @return {string}
+ * @private
+ */
+function toEnvironmentName( key ) {
+    return environmentPrefix + key.replace( /([a-z0-9])([A-Z])/g, '$1_$2' ).toUpperCase();
+}
+
+/**
+ * @param  {any} value
+ * @return {any}
+ * @private
+ */
+function clone( value ) {
+    return value === undefined ? value : JSON.parse( JSON.stringify( value ) );
+}
+
+module.exports = {
+    defaultConfigPath,
+    getDefaults,
+    loadConfiguration,
+    schema,
+    validate,
+};
@@ -0,0 +1,184 @@
+/**
+ * CsvFormat
+ * =========
+ * Schreibt die Ergebnisse als CSV-Datei nach RFC 4180. Das Trennzeichen lässt
+ * sich konfigurieren; standardmäßig verwenden wir ein Semikolon, weil deutsche
+ * Tabellenprogramme das erwarten.
+ */
+class CsvFormat {
+
+    /**
+     * Erstellt eine neue CsvFormat-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = {
+            csvDelimiter: ';',
+            ...config,
+        };
+    }
+
+    /**
+     * Die Dateiendung für dieses Format.
+     *
+     * @return {string}
+     */
+    get extension() {
+        return 'csv';
+    }
+
+    /**
+     * Wandelt alle Ergebnisse in den Inhalt der Ausgabedatei um.
+     *
+     * @param  {Record<string, any>[]} results
+     * @return {string}
+     */
+    serialize( results ) {
+        const columns = this._getColumns( results );
+
+        // Die erste Zeile enthält die Überschriften. Dadurch können
+        // Tabellen-Programme sie auch anzeigen.
+        const rows = [
+            columns.map( ( { header } ) => header ),
+            ...results.map( result => columns.map(
+                ( { value } ) => value( result ),
+            ) ),
+        ];
+
+        // RFC 4180 schreibt CRLF als Zeilenumbruch vor, auch nach der letzten
+        // Zeile.
+        return rows
+            .map( row => row.map( field => this._formatField( field ) ) )
+            .map( row => row.join( this._config.csvDelimiter ) + '\r\n' )
+            .join( '' );
+    }
+
+    /**
+     * Liefert die Spalten der Datei. Jede Spalte hat eine Überschrift und eine
+     * Funktion, die den Wert aus einem Ergebnis liest.
+     *
+     * @param  {Record<string, any>[]} results
+     * @return {{ header: string, value: function(Record<string, any>): any }[]}
+     * @protected
+     */
+    _getColumns( results ) {
+        const columns = CsvFormat.COLUMNS.map( header => ( {
+            header,
+            value: result => result[ header ],
+        } ) );
+
+        // Die Angebote sind Objekte; in der Tabelle steht jedes als kurzer
+        // Text, etwa "Wochenende: 45 EUR / weekend (InStock)".
+        columns.find( ( { header } ) => header === 'offers' ).value = ( { offers } ) => (
+            ( offers || [] ).map( offer => this._formatOffer( offer ) )
+        );
+
+        // Wurden die Bilder heruntergeladen, steht neben jeder Bild-Spalte
+        // eine mit den lokalen Dateien. In "imageFiles" stehen sie in derselben
+        // Reihenfolge wie die URLs in "images".
+        if ( results.some( result => result.imageFiles ) ) {
+            const insertAfter = ( header, column ) => columns.splice(
+                columns.findIndex( existing => existing.header === header ) + 1,
+                0,
+                column,
+            );
+
+            insertAfter( 'productImage', {
+                header: 'productImageFile',
+                value:  result => result.productImageFile,
+            } );
+            insertAfter( 'images', {
+                header: 'imageFiles',
+                value:  ( { imageFiles = [] } ) => imageFiles.map(
+                    ( { path } ) => path || '',
+                ),
+            } );
+        }
+
+        // Bei einem inkrementellen Crawl steht am Ende, ob ein Produkt neu,
+        // geändert oder unverändert ist.
+        if ( results.some( result => result.changeStatus ) ) {
+            columns.push( {
+                header: 'changeStatus',
+                value:  result => result.changeStatus,
+            } );
+        }
+
+        return columns;
+    }
+
+    /**
+     * Wandelt ein Angebot in einen Text um. Fehlende Angaben lassen wir aus.
+     *
+     * @param  {Offer} offer
+     * @return {string}
+     * @private
+     */
+    _formatOffer( { name, price, priceCurrency, unit, availability } ) {
+        return [
+            name ? `${ name }:` : null,
+            price,
+            priceCurrency,
+            unit ? `/ ${ unit }` : null,
+            availability ? `(${ availability })` : null,
+        ]
+            .filter( part => part !== null && part !== undefined )
+            .join( ' ' );
+    }
+
+    /**
+     * Wandelt einen einzelnen Wert in ein CSV-Feld um. Listen werden mit einem
+     * senkrechten Strich verbunden, andere Objekte als JSON geschrieben.
+     *
+     * @param  {any} value
+     * @return {string}
+     * @private
+     */
+    _formatField( value ) {
+        let text;
+
+        if ( value === null || value === undefined || Number.isNaN( value ) ) {
+            text = '';
+        } else if ( Array.isArray( value ) ) {
+            text = value.join( ' | ' );
+        } else if ( typeof value === 'object' ) {
+            text = JSON.stringify( value );
+        } else {
+            text = String( value );
+        }
+
+        // Felder, die das Trennzeichen, Anführungszeichen oder Zeilenumbrüche
+        // enthalten, müssen in Anführungszeichen stehen. Anführungszeichen im
+        // Text selbst werden dabei verdoppelt.
+        const needsQuotes = text.includes( this._config.csvDelimiter ) ||
+                            /["\r\n]/.test( text );
+
+        return needsQuotes
+               ? `"${ text.replace( /"/g, '""' ) }"`
+               : text;
+    }
+}
+
+/**
+ * Die Spalten der Ausgabedatei, in der Reihenfolge, in der sie geschrieben
+ * werden.
+ *
+ * @type {string[]}
+ */
+CsvFormat.COLUMNS = [
+    'articleNumber',
+    'productName',
+    'productImage',
+    'pricePerDay',
+    'description',
+    'technicalDetails',
+    'categories',
+    'brand',
+    'gtin',
+    'offers',
+    'images',
+    'link',
+];
+
+module.exports = CsvFormat;
@@ -0,0 +1,37 @@
+/**
+ * JsonFormat
+ * ==========
+ * Schreibt alle Ergebnisse als ein einziges JSON-Array.
+ */
+class JsonFormat {
+
+    /**
+     * Erstellt eine neue JsonFormat-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = config;
+    }
+
+    /**
+     * Die Dateiendung für dieses Format.
+     *
+     * @return {string}
+     */
+    get extension() {
+        return 'json';
+    }
+
+    /**
+     * Wandelt alle Ergebnisse in den Inhalt der Ausgabedatei um.
+     *
+     * @param  {Record<string, any>[]} results
+     * @return {string}
+     */
+    serialize( results ) {
+        return JSON.stringify( results, null, 4 ) + '\n';
+    }
+}
+
+module.exports = JsonFormat;
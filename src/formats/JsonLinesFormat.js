@@ -0,0 +1,44 @@
+/**
+ * JsonLinesFormat
+ * ===============
+ * Schreibt jedes Ergebnis als eigenes JSON-Objekt in eine Zeile (JSON Lines).
+ * Das Format lässt sich Zeile für Zeile verarbeiten, ohne die ganze Datei
+ * einlesen zu müssen.
+ */
+class JsonLinesFormat {
+
+    /**
+     * Erstellt eine neue JsonLinesFormat-Instanz.
+     *
+     * @param {Record<string, any>} config
+     */
+    constructor( config ) {
+        this._config = config;
+    }
+
+    /**
+     * Die Dateiendung für dieses Format.
+     *
+     * @return {string}
+     */
+    get extension() {
+        return 'jsonl';
+    }
+
+    /**
+     * Wandelt alle Ergebnisse in den Inhalt der Ausgabedatei um.
+     *
+     * @param  {Record<string, any>[]} results
+     * @return {string}
+     */
+    serialize( results ) {
+
+        // JSON.stringify escaped Zeilenumbrüche in Texten, jedes Objekt steht
+        // also garantiert in genau einer Zeile.
+        return results
+            .map( result => JSON.stringify( result ) + '\n' )
+            .join( '' );
+    }
+}
+
+module.exports = JsonLinesFormat;
@@ -0,0 +1,71 @@
+const CsvFormat = require( './CsvFormat' );
+
+/**
+ * WideCsvFormat
+ * =============
+ * Eine "breite" CSV-Datei: Anstatt alle technischen Details als JSON in eine
+ * einzige Spalte zu schreiben, bekommt jedes Detail eine eigene Spalte. So
+ * lassen sich die Maschinen in Tabellenprogrammen direkt filtern und sortieren.
+ */
+class WideCsvFormat extends CsvFormat {
+
+    /**
+     * Die Dateiendung für dieses Format. Sie unterscheidet sich von der
+     * normalen CSV-Datei, damit beide im selben Lauf geschrieben werden können.
+     *
+     * @return {string}
+     */
+    get extension() {
+        return 'wide.csv';
+    }
+
+    /**
+     * Liefert die Spalten der Datei: Alle normalen Spalten außer den
+     * technischen Details, gefolgt von einer Spalte pro Detail, das in
+     * mindestens einem Ergebnis vorkommt. Jede Überschrift kommt nur einmal
+     * vor: Heißt ein Detail wie eine normale Spalte, etwa "brand", bekommt es
+     * das Präfix "details.".
+     *
+     * @param  {Record<string, any>[]} results
+     * @return {{ header: string, value: function(Record<string, any>): any }[]}
+     * @protected
+     */
+    _getColumns( results ) {
+        const columns = super
+            ._getColumns( results )
+            .filter( ( { header } ) => header !== 'technicalDetails' );
+
+        // Wir sammeln alle Schlüssel in der Reihenfolge, in der sie zuerst
+        // auftauchen. Schlüssel, die sich nur in Leerzeichen am Rand
+        // unterscheiden, landen in derselben Spalte.
+        const keys = new Map();
+
+        results.forEach( ( { technicalDetails = {} } ) => Object
+            .keys( technicalDetails )
+            .forEach( key => keys.set( key.trim(), [ ...keys.get( key.trim() ) || [], key ] ) ) );
+
+        const headers = new Set( columns.map( ( { header } ) => header ) );
+
+        return [
+            ...columns,
+            ...[ ...keys ].map( ( [ name, variants ] ) => {
+                let header = headers.has( name ) ? `details.${ name }` : name;
+
+                for ( let number = 2; headers.has( header ); number++ ) {
+                    header = `details.${ name } (${ number })`;
+                }
+
+                headers.add( header );
+
+                return {
+                    header,
+                    value: ( { technicalDetails = {} } ) => variants
+                        .map( key => technicalDetails[ key ] )
+                        .find( value => value !== undefined ),
+                };
+            } ),
+        ];
+    }
+}
+
+module.exports = WideCsvFormat;
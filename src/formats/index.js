@@ -0,0 +1,59 @@
+const CsvFormat       = require( './CsvFormat' );
+const JsonFormat      = require( './JsonFormat' );
+const JsonLinesFormat = require( './JsonLinesFormat' );
+const WideCsvFormat   = require( './WideCsvFormat' );
+
+/**
+ * Alle Ausgabeformate, die der Writer kennt, nach ihrem Namen. Der Name wird in
+ * der Konfiguration unter "outputFormats" oder auf der Kommandozeile mit
+ * "--format" angegeben.
+ *
+ * @type {Map<string, function(new: OutputFormat, Record<string, any>)>}
+ */
+const formats = new Map( [
+    [ 'csv', CsvFormat ],
+    [ 'csv-wide', WideCsvFormat ],
+    [ 'jsonl', JsonLinesFormat ],
+    [ 'json', JsonFormat ],
+] );
+
+/**
+ * Erstellt eine Instanz des Ausgabeformats mit dem angegebenen Namen.
+ *
+ * @param  {string}              name
+ * @param  {Record<string, any>} config
+ * @return {OutputFormat}
+ * @throws Wenn es kein Format mit diesem Namen gibt.
+ */
+function createFormat( name, config ) {
+    const Format = formats.get( name );
+
+    if ( !Format ) {
+        throw new Error(
+            `Unknown output format: "${ name }" is not a known output ` +
+            'format. Check the "outputFormats" key in the configuration ' +
+            'file or the "--format" option.\nAvailable formats: ' +
+            [ ...formats.keys() ].join( ', ' ) + '.',
+        );
+    }
+
+    return new Format( config );
+}
+
+/**
+ * Registriert ein zusätzliches Ausgabeformat.
+ *
+ * @param {string}                                           name
+ * @param {function(new: OutputFormat, Record<string, any>)} Format
+ */
+function registerFormat( name, Format ) {
+    formats.set( name, Format );
+}
+
+/**
+ * @typedef {Object} OutputFormat
+ * @property {string}                                  extension
+ * @property {function(Record<string, any>[]): string} serialize
+ */
+
+module.exports = { formats, createFormat, registerFormat };
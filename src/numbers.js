@@ -0,0 +1,37 @@
+/**
+ * Liest eine Zahl im deutschen Format, etwa "1.250,00 €", "3,5 m" oder
+ * "2.000 W". Punkte gelten dabei als Tausendertrennzeichen, das Komma als
+ * Dezimaltrennzeichen. Steht nur ein Punkt ohne Komma in der Zahl, entscheiden
+ * die Ziffern danach: "1.500" ist Tausend-fünfhundert, "1.5" dagegen
+ * eineinhalb, weil Tausendertrennzeichen immer vor genau drei Ziffern stehen.
+ * Alles, was nach der Zahl kommt (Einheiten, Währungszeichen), wird ignoriert.
+ * Enthält der Text keine Zahl, erhalten wir null.
+ *
+ * @param  {string|number} text
+ * @return {number|null}
+ */
+function parseGermanNumber( text ) {
+    if ( typeof text === 'number' ) {
+        return Number.isNaN( text ) ? null : text;
+    }
+
+    const match = String( text ).match( /[-+]?\d[\d.\s]*(,\d+)?/ );
+
+    if ( !match ) {
+        return null;
+    }
+
+    // Leerzeichen kommen als Tausendertrennzeichen vor ("1 250,00"), am Ende
+    // der Zahl stehen sie aber vor der Einheit.
+    let number = match[ 0 ].replace( /\s/g, '' ).replace( /\.$/, '' );
+
+    if ( number.includes( ',' ) || /^[-+]?\d{1,3}(\.\d{3})+$/.test( number ) ) {
+        number = number.replace( /\./g, '' ).replace( ',', '.' );
+    }
+
+    const value = Number( number );
+
+    return Number.isNaN( value ) ? null : value;
+}
+
+module.exports = { parseGermanNumber };
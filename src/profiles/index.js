@@ -0,0 +1,105 @@
+const steps      = require( './steps' );
+const verleihnix = require( './verleihnix.json' );
+
+/**
+ * Die Profile, die mit dem Crawler ausgeliefert werden, nach ihrem Namen.
+ *
+ * @type {Record<string, Profile>}
+ */
+const builtInProfiles = {
+    verleihnix,
+};
+
+/**
+ * Ermittelt das Profil, das laut Konfiguration verwendet werden soll. Profile
+ * aus der Konfigurationsdatei ("profiles") haben dabei Vorrang vor den
+ * mitgelieferten Profilen.
+ *
+ * @param  {Record<string, any>} config
+ * @return {Profile}
+ * @throws Wenn es kein Profil mit dem Namen gibt, oder es unvollständig ist.
+ */
+function resolveProfile( config ) {
+    const name     = config.profile || 'verleihnix';
+    const profiles = {
+        ...builtInProfiles,
+        ...( config.profiles || {} ),
+    };
+
+    const profile = profiles[ name ];
+
+    if ( !profile ) {
+        throw new Error(
+            `Unknown profile: There is no profile named "${ name }". Check ` +
+            'the "profile" key in the configuration file, or add the ' +
+            'profile to the "profiles" key.\nAvailable profiles: ' +
+            Object.keys( profiles ).join( ', ' ) + '.',
+        );
+    }
+
+    validateProfile( name, profile );
+
+    return profile;
+}
+
+/**
+ * Prüft, ob ein Profil alle nötigen Angaben enthält und nur bekannte Schritte
+ * verwendet. So fallen Tippfehler schon beim Start auf, und nicht erst, wenn
+ * die Ausgabe leer bleibt.
+ *
+ * @param  {string}  name
+ * @param  {Profile} profile
+ * @throws Wenn das Profil ungültig ist.
+ */
+function validateProfile( name, profile ) {
+    const fail = message => {
+        throw new Error( `Invalid profile "${ name }": ${ message }` );
+    };
+
+    if ( typeof profile.product !== 'string' ) {
+        fail( 'The "product" key must contain a selector for product elements.' );
+    }
+
+    Object.entries( profile.fields || {} ).forEach( ( [ field, definition ] ) => {
+        if ( !definition || typeof definition.selector !== 'string' ) {
+            fail( `Field "${ field }" has no "selector".` );
+        }
+
+        ( definition.steps || [] ).forEach( step => {
+            const stepName = typeof step === 'string'
+                             ? step
+                             : Object.keys( step )[ 0 ];
+
+            if ( !steps[ stepName ] ) {
+                fail(
+                    `Field "${ field }" uses the unknown step "${ stepName }". ` +
+                    `Available steps: ${ Object.keys( steps ).join( ', ' ) }.`,
+                );
+            }
+        } );
+    } );
+}
+
+/**
+ * @typedef {Object} FieldDefinition
+ * @property {string}               selector    CSS-Selektor für das Element
+ * @property {string}               [attribute] Auszulesendes Attribut; ohne
+ *                                              Angabe wird der Text verwendet
+ * @property {string}               [scope]     "product" (Standard) sucht im
+ *                                              Produktelement, "document" in
+ *                                              der ganzen Seite
+ * @property {boolean}              [multiple]  Liefert eine Liste aller Treffer
+ * @property {Array<string|Object>} [steps]     Nachbearbeitungsschritte
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {Record<string, string>}          links              Selektoren der Links
+ * @property {string}                          [breadcrumb]       Selektor der Breadcrumb
+ * @property {string}                          product            Selektor des Produkts
+ * @property {Record<string, FieldDefinition>} fields             Felder des Ergebnisses
+ * @property {Object}                          [technicalDetails] Selektoren der Details
+ * @property {Record<string, FieldRules>}      [schema]           Regeln, die ein gültiges Produkt erfüllt
+ */
+
+module.exports = { builtInProfiles, resolveProfile };
@@ -0,0 +1,50 @@
+const { parseGermanNumber } = require( '../numbers' );
+
+/**
+ * Die Nachbearbeitungsschritte, die ein Profil auf einen ausgelesenen Wert
+ * anwenden kann. Schritte ohne Parameter werden im Profil einfach mit ihrem
+ * Namen angegeben ("trim"), Schritte mit Parameter als Objekt
+ * ({ "stripPrefix": "Art.-Nr." }).
+ *
+ * @type {Record<string, function(any, any): any>}
+ */
+const steps = {
+
+    /**
+     * Entfernt Leerzeichen und Zeilenumbrüche am Anfang und Ende.
+     */
+    trim: value => String( value ).trim(),
+
+    /**
+     * Fasst mehrere Leerzeichen und Zeilenumbrüche zu einem Leerzeichen
+     * zusammen.
+     */
+    collapseWhitespace: value => String( value ).replace( /\s+/g, ' ' ).trim(),
+
+    /**
+     * Wandelt einen Text im deutschen Zahlenformat in eine Zahl um, etwa
+     * "1.250,00 €" in 1250.
+     */
+    number: value => parseGermanNumber( value ),
+
+    /**
+     * Entfernt einen Präfix, etwa "Art.-Nr.", um nur den eigentlichen Wert zu
+     * erhalten.
+     */
+    stripPrefix: ( value, prefix ) => {
+        const text = String( value ).trim();
+
+        return text.startsWith( prefix )
+               ? text.slice( prefix.length ).trim()
+               : text;
+    },
+
+    /**
+     * Ersetzt alle Vorkommen eines regulären Ausdrucks.
+     */
+    replace: ( value, { pattern, flags = 'g', with: replacement = '' } ) => (
+        String( value ).replace( new RegExp( pattern, flags ), replacement )
+    ),
+};
+
+module.exports = steps;
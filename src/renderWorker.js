@@ -0,0 +1,166 @@
+/******************************************************************************
+ *
+ * renderWorker.js
+ * Diese Datei läuft in einem eigenen Prozess, den der Renderer startet. Sie
+ * lädt das HTML einer Seite in jsdom, führt die Skripte der Seite aus und
+ * schickt das gerenderte HTML zurück. Hängt ein Skript, beendet der Renderer
+ * den ganzen Prozess - der Crawl selbst bleibt davon unberührt.
+ * jsdom ist keine Sandbox: Ein Seitenskript kann aus dem DOM ausbrechen und
+ * erreicht dann diesen Prozess. Deshalb startet ihn der Renderer ohne
+ * Umgebungsvariablen und mit dem Berechtigungsmodell von Node.js: Er darf nur
+ * seine eigenen Module lesen, keine Dateien schreiben und keine Prozesse
+ * starten.
+ *
+ ******************************************************************************
+ */
+
+const { JSDOM, ResourceLoader, VirtualConsole } = require( 'jsdom' );
+
+// Die Einstellungen kommen als JSON im ersten Argument.
+const workerData = JSON.parse( process.argv[ 2 ] );
+
+/**
+ * Lädt nur Skripte, und nur, wenn der Zugriff aufs Netzwerk erlaubt ist.
+ * Bilder, Stylesheets, Frames und alles andere, was ein Element nachlädt,
+ * braucht der Parser nicht; diese Anfragen beantworten wir gar nicht.
+ */
+class ScriptLoader extends ResourceLoader {
+
+    /**
+     * @param {function(string): boolean} isAllowed
+     * @param {string}                    userAgent
+     */
+    constructor( isAllowed, userAgent ) {
+        super( userAgent ? { userAgent } : {} );
+
+        this._isAllowed = isAllowed;
+    }
+
+    /**
+     * @param  {string} url
+     * @param  {Object} options
+     * @return {Promise<Buffer>|null}
+     */
+    fetch( url, options ) {
+        const isScript = options.element && options.element.localName === 'script';
+
+        return isScript && this._isAllowed( url )
+               ? super.fetch( url, options )
+               : null;
+    }
+}
+
+/**
+ * Sperrt die Zugriffe aufs Netzwerk, die an jsdoms ResourceLoader vorbeigehen.
+ * XMLHttpRequest und, wo vorhanden, fetch() halten sich an die Einstellung
+ * "network"; WebSocket, EventSource und navigator.sendBeacon() sperren wir
+ * immer, denn ein Parser braucht keine Verbindungen, die offen bleiben oder
+ * nur senden.
+ *
+ * @param {Window}                    window
+ * @param {function(string): boolean} isAllowed
+ */
+function restrictNetwork( window, isAllowed ) {
+    const deny = url => new window.DOMException( `Network access to "${ url }" is disabled`, 'NetworkError' );
+    const open = window.XMLHttpRequest.prototype.open;
+
+    window.XMLHttpRequest.prototype.open = function ( method, url, ...rest ) {
+        if ( !isAllowed( String( url ) ) ) {
+            throw deny( url );
+        }
+
+        return open.call( this, method, url, ...rest );
+    };
+
+    if ( typeof window.fetch === 'function' ) {
+        const fetch = window.fetch;
+
+        window.fetch = function ( resource, ...rest ) {
+            const url = typeof resource === 'string' ? resource : String( resource && resource.url );
+
+            return isAllowed( url )
+                   ? fetch.call( this, resource, ...rest )
+                   : Promise.reject( deny( url ) );
+        };
+    }
+
+    [ 'WebSocket', 'EventSource' ]
+        .filter( name => name in window )
+        .forEach( name => {
+            window[ name ] = function ( url ) {
+                throw deny( url );
+            };
+        } );
+
+    if ( 'sendBeacon' in window.navigator ) {
+        Object.defineProperty( window.navigator, 'sendBeacon', { value: () => false } );
+    }
+}
+
+/**
+ * Rendert eine Seite: Wir warten auf das "load"-Event und danach noch
+ * "wait" Millisekunden, damit auch Skripte mit Timern fertig werden.
+ *
+ * @param  {string} url
+ * @param  {string} html
+ * @return {Promise<{ html: string, errors: string[] }>}
+ */
+function render( url, html ) {
+    const { network, wait, userAgent } = workerData;
+    const { host }                     = new URL( url );
+
+    // Relative Adressen gelten relativ zur Seite. Was sich nicht als URL
+    // lesen lässt, laden wir nicht.
+    const isAllowed = target => {
+        if ( network !== 'same-host' ) {
+            return false;
+        }
+
+        try {
+            return new URL( target, url ).host === host;
+        } catch ( error ) {
+            return false;
+        }
+    };
+
+    // Fehler der Seitenskripte sammeln wir, anstatt sie auszugeben; ihre
+    // Konsolenausgaben verwerfen wir.
+    const errors         = [];
+    const virtualConsole = new VirtualConsole();
+
+    virtualConsole.on( 'jsdomError', error => errors.push( error.message ) );
+
+    const dom = new JSDOM( html, {
+        url,
+        runScripts:        'dangerously',
+        resources:         new ScriptLoader( isAllowed, userAgent ),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse:       window => restrictNetwork( window, isAllowed ),
+    } );
+
+    return new Promise( resolve => {
+        const finish = () => setTimeout( () => {
+            const rendered = dom.serialize();
+
+            // Beendet auch alle Timer, die die Seite noch gestellt hat.
+            dom.window.close();
+
+            resolve( { html: rendered, errors } );
+        }, wait );
+
+        if ( dom.window.document.readyState === 'complete' ) {
+            finish();
+        } else {
+            dom.window.addEventListener( 'load', finish );
+        }
+    } );
+}
+
+process.on( 'message', async ( { url, html } ) => {
+    try {
+        process.send( await render( url, html ) );
+    } catch ( error ) {
+        process.send( { error: error.message } );
+    }
+} );